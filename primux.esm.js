@@ -28,8 +28,103 @@
 // __________________________________
 
 
+// Reactive core shared by createType containers, signal(), computed() and effect()
+const reactiveState = { observer: null, batchDepth: 0, flushing: false, queue: new Set() };
+
+function createNode() {
+  return { observers: new Set() };
+}
+
+function trackNode(node) {
+  const observer = reactiveState.observer;
+  if (!observer) return;
+  
+  node.observers.add(observer);
+  observer.sources.add(node);
+}
+
+function invalidateNode(node) {
+  [...node.observers].forEach(observer => observer.invalidate());
+}
+
+function flushReactive() {
+  if (reactiveState.batchDepth > 0 || reactiveState.flushing) return;
+  reactiveState.flushing = true;
+  
+  // A throwing job must not starve the rest, so errors are rethrown once the queue drains
+  const errors = [];
+  
+  try {
+    while (reactiveState.queue.size) {
+      const [job] = reactiveState.queue;
+      reactiveState.queue.delete(job);
+      
+      try {
+        job.run();
+      } catch (err) {
+        errors.push(err);
+      }
+    }
+  } finally {
+    reactiveState.flushing = false;
+  }
+  
+  if (errors.length === 1) throw errors[0];
+  if (errors.length > 1) throw new AggregateError(errors, "Primux/effect: multiple effects threw");
+}
+
+function triggerNode(node) {
+  invalidateNode(node);
+  flushReactive();
+}
+
+function unlinkObserver(observer) {
+  observer.sources.forEach(source => source.observers.delete(observer));
+  observer.sources.clear();
+}
+
+function runObserved(observer, fn) {
+  unlinkObserver(observer);
+  
+  const previous = reactiveState.observer;
+  reactiveState.observer = observer;
+  
+  try {
+    return fn();
+  } finally {
+    reactiveState.observer = previous;
+  }
+}
+
+function subscribeNode(node, read, fn) {
+  let last = read();
+  
+  const job = {
+    run() {
+      const previous = last;
+      last = read();
+      if (!Object.is(previous, last)) fn(last, previous);
+    }
+  };
+  
+  const observer = {
+    sources: new Set(),
+    invalidate() {
+      reactiveState.queue.add(job);
+    }
+  };
+  
+  node.observers.add(observer);
+  
+  return () => {
+    node.observers.delete(observer);
+    reactiveState.queue.delete(job);
+  };
+}
+
 function createType(typeName, message, validator) {
   let value = undefined;
+  const node = createNode();
   
   function validate(v) {
     if (!validator(v)) {
@@ -37,6 +132,10 @@ function createType(typeName, message, validator) {
     }
   }
   
+  function peek() {
+    return value;
+  }
+  
   return function(initialValue) {
     if (arguments.length > 0) {
       validate(initialValue);
@@ -45,16 +144,28 @@ function createType(typeName, message, validator) {
     
     return {
       get() {
+        trackNode(node);
         return value;
       },
       
       set(newValue) {
         validate(newValue);
+        if (Object.is(value, newValue)) return;
         value = newValue;
+        triggerNode(node);
       },
       
       clear() {
+        if (value === undefined) return;
         value = undefined;
+        triggerNode(node);
+      },
+      
+      peek,
+      
+      subscribe(fn) {
+        guard("subscribe", { fn }, { fn: "function" });
+        return subscribeNode(node, peek, fn);
       },
       
       type() {
@@ -117,17 +228,257 @@ function ensureDOM(fnName) {
   }
 }
 
-function stableHash(value) {
-  if (value === null) return "null";
-  if (typeof value !== "object") return typeof value + ":" + String(value);
+// Unregistered symbols have no stable textual form, so each one gets an id. The ids are
+// held weakly; engines without symbol WeakMap keys hash the description instead
+const symbolIds = (() => {
+  try {
+    return new WeakMap().set(Symbol(), 0);
+  } catch {
+    return null;
+  }
+})();
+let symbolCount = 0;
+
+function enumerableKeys(obj) {
+  const symbols = Object.getOwnPropertySymbols(obj)
+    .filter(s => Object.prototype.propertyIsEnumerable.call(obj, s));
+  
+  return [...Object.keys(obj), ...symbols];
+}
+
+// 64-bit FNV-1a kept as two 32-bit halves; the prime is 2^40 + 0x1b3
+function createHasher() {
+  return { hi: 0xcbf29ce4, lo: 0x84222325 };
+}
+
+function feedByte(h, b) {
+  const lo = (h.lo ^ b) >>> 0;
+  const product = lo * 0x1b3;
+  
+  h.hi = (Math.imul(h.hi, 0x1b3) + Math.floor(product / 4294967296) + (lo << 8)) >>> 0;
+  h.lo = product >>> 0;
+}
+
+// Little-endian, so the byte stream is the same on every platform
+function feedUint32(h, n) {
+  feedByte(h, n & 0xff);
+  feedByte(h, (n >>> 8) & 0xff);
+  feedByte(h, (n >>> 16) & 0xff);
+  feedByte(h, n >>> 24);
+}
+
+// Low 64 bits of a 64-bit product, in 16-bit limbs so no partial product loses precision
+function mul64(aHi, aLo, bHi, bLo) {
+  const a0 = aLo & 0xffff, a1 = aLo >>> 16;
+  const b0 = bLo & 0xffff, b1 = bLo >>> 16;
+  
+  const p00 = a0 * b0;
+  const p01 = a0 * b1;
+  const p10 = a1 * b0;
+  const mid = (p00 >>> 16) + (p01 & 0xffff) + (p10 & 0xffff);
+  const carry = a1 * b1 + (p01 >>> 16) + (p10 >>> 16) + Math.floor(mid / 65536);
+  
+  return {
+    hi: (carry + Math.imul(aHi, bLo) + Math.imul(aLo, bHi)) >>> 0,
+    lo: (((mid & 0xffff) << 16) | (p00 & 0xffff)) >>> 0
+  };
+}
+
+// MurmurHash3's fmix64. FNV-1a alone leaves the low output bits depending only on the
+// low bits of each byte, so every output bit is mixed before a digest is handed out
+function finishHash({ hi, lo }) {
+  lo = (lo ^ (hi >>> 1)) >>> 0;
+  ({ hi, lo } = mul64(hi, lo, 0xff51afd7, 0xed558ccd));
+  lo = (lo ^ (hi >>> 1)) >>> 0;
+  ({ hi, lo } = mul64(hi, lo, 0xc4ceb9fe, 0x1a85ec53));
+  lo = (lo ^ (hi >>> 1)) >>> 0;
+  
+  return { hi, lo };
+}
+
+function feedString(h, str) {
+  feedUint32(h, str.length);
+  
+  for (let i = 0; i < str.length; i++) {
+    const c = str.charCodeAt(i);
+    feedByte(h, c & 0xff);
+    feedByte(h, c >>> 8);
+  }
+}
+
+const numberView = new DataView(new ArrayBuffer(8));
+
+function feedNumber(h, n) {
+  // -0 hashes like 0 and every NaN alike, matching isEqual's default comparison
+  numberView.setFloat64(0, n === 0 ? 0 : Number.isNaN(n) ? NaN : n, true);
+  feedUint32(h, numberView.getUint32(0, true));
+  feedUint32(h, numberView.getUint32(4, true));
+}
+
+function feedBytes(h, bytes) {
+  feedUint32(h, bytes.length);
+  for (let i = 0; i < bytes.length; i++) feedByte(h, bytes[i]);
+}
+
+// Order-independent collections hash each entry on its own and feed the sorted digests
+function feedUnordered(h, items, feedItem) {
+  const digests = items.map(item => {
+    const sub = createHasher();
+    feedItem(sub, item);
+    return [sub.hi, sub.lo];
+  });
+  
+  digests.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  feedUint32(h, digests.length);
+  digests.forEach(([hi, lo]) => {
+    feedUint32(h, hi);
+    feedUint32(h, lo);
+  });
+}
+
+function feedValue(h, value, ancestors) {
+  if (value === null) return feedUint32(h, 0);
+  
+  switch (typeof value) {
+    case "undefined":
+      return feedUint32(h, 1);
+      
+    case "boolean":
+      feedUint32(h, 2);
+      return feedUint32(h, value ? 1 : 0);
+      
+    case "number":
+      feedUint32(h, 3);
+      return feedNumber(h, value);
+      
+    case "string":
+      feedUint32(h, 4);
+      return feedString(h, value);
+      
+    case "bigint":
+      feedUint32(h, 5);
+      return feedString(h, value.toString(16));
+      
+    case "symbol": {
+      feedUint32(h, 6);
+      const key = Symbol.keyFor(value);
+      if (key !== undefined) return feedString(h, key);
+      
+      if (!symbolIds) return feedString(h, value.description ?? "");
+      
+      if (!symbolIds.has(value)) symbolIds.set(value, ++symbolCount);
+      return feedUint32(h, symbolIds.get(value));
+    }
+    
+    case "function":
+      feedUint32(h, 7);
+      return feedString(h, String(value));
+  }
+  
+  // A reference back to an ancestor is hashed by how far up it points
+  const depth = ancestors.indexOf(value);
+  if (depth !== -1) {
+    feedUint32(h, 8);
+    return feedUint32(h, ancestors.length - depth);
+  }
   
+  ancestors.push(value);
+  
+  try {
+    feedObject(h, value, ancestors);
+  } finally {
+    ancestors.pop();
+  }
+}
+
+function feedObject(h, value, ancestors) {
   if (Array.isArray(value)) {
-    return "array:[" + value.map(stableHash).join(",") + "]";
+    feedUint32(h, 10);
+    feedUint32(h, value.length);
+    for (let i = 0; i < value.length; i++) feedValue(h, value[i], ancestors);
+    return;
   }
   
+  // Plain objects skip the built-in checks
+  const proto = Object.getPrototypeOf(value);
+  if (proto !== Object.prototype && proto !== null && feedBuiltIn(h, value, ancestors)) return;
+  
   const keys = Object.keys(value).sort();
-  const entries = keys.map(k => `${k}:${stableHash(value[k])}`);
-  return "object:{" + entries.join(",") + "}";
+  
+  feedUint32(h, 19);
+  feedUint32(h, keys.length);
+  
+  for (const k of keys) {
+    feedString(h, k);
+    feedValue(h, value[k], ancestors);
+  }
+  
+  const symbols = Object.getOwnPropertySymbols(value);
+  if (symbols.length === 0) return feedUint32(h, 0);
+  
+  const enumerable = symbols.filter(k => Object.prototype.propertyIsEnumerable.call(value, k));
+  
+  feedUnordered(h, enumerable, (sub, k) => {
+    feedValue(sub, k, ancestors);
+    feedValue(sub, value[k], ancestors);
+  });
+}
+
+function feedBuiltIn(h, value, ancestors) {
+  const feed = (sub, v) => feedValue(sub, v, ancestors);
+  
+  if (value instanceof Date) {
+    feedUint32(h, 11);
+    feedNumber(h, value.getTime());
+  } else if (value instanceof RegExp) {
+    feedUint32(h, 12);
+    feedString(h, String(value));
+  } else if (value instanceof Map) {
+    feedUint32(h, 13);
+    feedUnordered(h, [...value], (sub, [k, v]) => {
+      feed(sub, k);
+      feed(sub, v);
+    });
+  } else if (value instanceof Set) {
+    feedUint32(h, 14);
+    feedUnordered(h, [...value], feed);
+  } else if (value instanceof DataView) {
+    feedUint32(h, 15);
+    feedBytes(h, new Uint8Array(value.buffer, value.byteOffset, value.byteLength));
+  } else if (ArrayBuffer.isView(value)) {
+    feedUint32(h, 16);
+    feedString(h, Object.prototype.toString.call(value));
+    feedUint32(h, value.length);
+    for (const v of value) typeof v === "bigint" ? feedString(h, v.toString(16)) : feedNumber(h, v);
+  } else if (value instanceof ArrayBuffer) {
+    feedUint32(h, 17);
+    feedBytes(h, new Uint8Array(value));
+  } else if (value instanceof Number || value instanceof String || value instanceof Boolean) {
+    feedUint32(h, 18);
+    feedString(h, Object.prototype.toString.call(value));
+    feed(h, value.valueOf());
+  } else {
+    return false;
+  }
+  
+  return true;
+}
+
+function hashDigest(value) {
+  const h = createHasher();
+  feedValue(h, value, []);
+  return finishHash(h);
+}
+
+function stableHash(value) {
+  const { hi, lo } = hashDigest(value);
+  return hi.toString(16).padStart(8, "0") + lo.toString(16).padStart(8, "0");
+}
+
+// 53 bits of the digest as a number, cheaper than the hex string for bucketing
+function hashKey(value) {
+  const { hi, lo } = hashDigest(value);
+  return hi * 2097152 + (lo >>> 11);
 }
 
 function decimalPlaces(num) {
@@ -179,157 +530,838 @@ function getDuration(duration) {
   return typeof duration === "number" ? duration : 300;
 }
 
-/**
- * Deep equality (internal use only)
- */
-function deepEqual(a, b) {
-  return stableHash(a) === stableHash(b);
-}
-
-function guardNegativeNumber(length, fn) {
-  if (length < 0) {
-    throw new RangeError(`Primux/${fn}: value must not be negative`);
-  }
-}
-
-/**
- * Primux
- * A comprehensive JavaScript utility library by Jishith M P
- */
-
-
-// ___________________________________
-// * Primux - String utlity functions
-// ___________________________________ 
-
-  function uppercaseWords(str) {
-    guard("uppercaseWords", { str }, { str: "string" });
-    return str ? str.trim().split(/\s+/).map(w => w[0].toUpperCase() + w.slice(1))
-      .join(" ") : "";
-  }
+// pathA and pathB hold the objects being compared further up, one per level on each side
+function structuralEqual(a, b, strict, pathA, pathB) {
+  const objects = a !== null && b !== null && typeof a === "object" && typeof b === "object";
   
-  function lowercaseWords(str) {
-    guard("lowercaseWords", { str }, { str: "string" });
-    return str ? str.trim().split(/\s+/).map(w => w[0].toLowerCase() + w.slice(1))
-      .join(" ") : "";
+  // Below the top level a shared object may still reach back to ancestors that differ
+  // between the two sides, so identity only settles primitives and the top-level pair
+  if (!objects || pathA.length === 0) {
+    if (strict ? Object.is(a, b) : a === b || (a !== a && b !== b)) return true;
+    if (!objects) return false;
   }
   
-  function truncate(str, length, ellipsis = "...") {
-    guard("truncate", { str, length, ellipsis }, { str: "string", length: "number", ellipsis: "string?" });
-    if (!str || !length) return "";
-    guardNegativeNumber(length, "truncate(str, length, ellipsis?)");
-    if (str.length <= length) return str;
-    return str.slice(0, length) + ellipsis;
-  }
+  // Cycles compare the way hash() encodes them: a back-reference only matches one that
+  // points equally far up. This is stricter than treating cycles that unfold alike as
+  // equal, but it keeps equal values hashing alike, which the set operations rely on
+  const i = pathA.indexOf(a);
+  const j = pathB.indexOf(b);
+  if (i !== -1 || j !== -1) return i === j;
   
-  function uppercaseChar(char) {
-    guard("uppercaseChar", { char }, { char: "string" });
-    if (!char) return "";
-    checkChar(char, "uppercaseChar(char)");
-    return char.toUpperCase();
-  }
+  if (strict && Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
   
-  function lowercaseFirstChar(str) {
-    guard("lowercaseFirstChar", { str }, { str: "string" });
-    if (!str) return "";
-    const chars = Array.from(str);
-    chars[0] = chars[0].toLowerCase();
-    return chars.join("");
-  }
+  const tag = Object.prototype.toString.call(a);
+  if (tag !== Object.prototype.toString.call(b)) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
   
-  function uppercaseFirstChar(str) {
-    guard("uppercaseFirstChar", { str }, { str: "string" });
-    if (!str) return "";
-    const chars = Array.from(str);
-    chars[0] = chars[0].toUpperCase();
-    return chars.join("");
+  pathA.push(a);
+  pathB.push(b);
+  
+  try {
+    return compareStructure(a, b, strict, pathA, pathB);
+  } finally {
+    pathA.pop();
+    pathB.pop();
   }
+}
+
+function compareStructure(a, b, strict, pathA, pathB) {
+  const eq = (x, y) => structuralEqual(x, y, strict, pathA, pathB);
   
-  function lowercaseChar(char) {
-    guard("lowercaseChar", { char }, { char: "string" });
-    if (!char) return "";
-    checkChar(char, "lowercaseChar(char)");
-    return char.toLowerCase();
+  // Only primitive keys may be matched by identity, for the same reason as above
+  const sameKey = (map, k) => (k === null || typeof k !== "object") && map.has(k);
+  
+  if (a instanceof Date) return Object.is(a.getTime(), b.getTime());
+  if (a instanceof RegExp) return a.source === b.source && a.flags === b.flags;
+  
+  if (a instanceof Number || a instanceof String || a instanceof Boolean) {
+    return eq(a.valueOf(), b.valueOf());
   }
   
-  function slugify(str) {
-    guard("slugify", { str }, { str: "string" });
+  if (a instanceof Map) {
+    if (a.size !== b.size) return false;
+    const unmatched = [...b.keys()].filter(k => !sameKey(a, k));
     
-    if (!str) return "";
+    for (const [k, v] of a) {
+      if (sameKey(b, k)) {
+        if (!eq(v, b.get(k))) return false;
+        continue;
+      }
+      
+      const i = unmatched.findIndex(bk => eq(k, bk) && eq(v, b.get(bk)));
+      if (i === -1) return false;
+      unmatched.splice(i, 1);
+    }
     
-    return str
-      .toLowerCase()
-      .trim()
-      .replace(/[^\w\s-]/g, "")
-      .replace(/\s+/g, "-")
-      .replace(/-+/g, "-")
-      .replace(/^-+|-+$/g, "");
+    return true;
   }
   
-  function stripHtml(html) {
-    guard("stripHtml", { html }, { html: "string" });
+  if (a instanceof Set) {
+    if (a.size !== b.size) return false;
+    const unmatched = [...b].filter(v => !sameKey(a, v));
     
-    if (typeof document !== "undefined") {
-      const div = createElement("div", { html: html })
-      div.querySelectorAll("script, style").forEach(el => el.remove());
-      return div.textContent || "";
+    for (const v of a) {
+      if (sameKey(b, v)) continue;
+      
+      const i = unmatched.findIndex(bv => eq(v, bv));
+      if (i === -1) return false;
+      unmatched.splice(i, 1);
     }
     
-    return html ? html
-      .replace(/<script[\s\S]*?>[\s\S]*?<\/script>/gi, "")
-      .replace(/<style[\s\S]*?>[\s\S]*?<\/style>/gi, "")
-      .replace(/<[^>]+>/g, "") :
-      "";
+    return true;
   }
   
-  function escapeHtml(html) {
-    guard("escapeHtml", { html }, { html: "string" });
-    return html ? html
-      .replace(/&/g, "&amp;")
-      .replace(/</g, "&lt;")
-      .replace(/>/g, "&gt;")
-      .replace(/"/g, "&quot;")
-      .replace(/'/g, "&#39;") : "";
+  if (a instanceof ArrayBuffer || a instanceof DataView) {
+    const bytesA = a instanceof DataView ? new Uint8Array(a.buffer, a.byteOffset, a.byteLength) : new Uint8Array(a);
+    const bytesB = b instanceof DataView ? new Uint8Array(b.buffer, b.byteOffset, b.byteLength) : new Uint8Array(b);
+    return bytesA.length === bytesB.length && bytesA.every((byte, i) => byte === bytesB[i]);
   }
   
-  function countOccurrences(str, s) {
-    guard("countOccurrences", { str, s }, { str: "string", s: "string" });
-    
-    if (!s || !str) return 0;
-    
-    let count = 0;
-    let pos = 0;
+  if (ArrayBuffer.isView(a)) {
+    return a.length === b.length && a.every((v, i) => eq(v, b[i]));
+  }
+  
+  if (Array.isArray(a)) {
+    if (a.length !== b.length) return false;
     
-    while ((pos = str.indexOf(s, pos)) !== -1) {
-      count++;
-      pos += s.length;
+    for (let i = 0; i < a.length; i++) {
+      if (!eq(a[i], b[i])) return false;
     }
     
-    return count;
+    return true;
   }
   
+  const keysA = enumerableKeys(a);
+  const keysB = enumerableKeys(b);
   
-  function reverseString(str) {
-    guard("reverseString", { str }, { str: "string" });
-    
-    return str ? Array.from(str).reverse().join("") : "";
+  if (keysA.length !== keysB.length) return false;
+  
+  return keysA.every(k => Object.prototype.hasOwnProperty.call(b, k) && eq(a[k], b[k]));
+}
+
+/**
+ * Deep equality (internal use only)
+ */
+function deepEqual(a, b) {
+  return structuralEqual(a, b, false, [], []);
+}
+
+function createWaitQueue() {
+  let waiting = [];
+  
+  function drain() {
+    const queue = waiting;
+    waiting = [];
+    return queue;
   }
   
-  function padCenter(str, length, pad = " ") {
-    guard("padCenter", { str, length, pad }, { str: "string", length: "number", pad: "string?" });
+  return {
+    add() {
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    },
     
-    guardNegativeNumber(length, "padCenter(str, length, pad?)");
+    resolve(value) {
+      drain().forEach(w => w.resolve(value));
+    },
     
-    if (!pad) {
-      throw new TypeError("Primux/padCenter: pad must be non-empty");
+    reject(err) {
+      drain().forEach(w => w.reject(err));
     }
-    
-    const strLen = str.length;
-    if (strLen >= length) return str;
-    
-    const totalPad = length - strLen;
-    const left = Math.floor(totalPad / 2);
-    const right = totalPad - left;
+  };
+}
+
+// Rejects a pending call's promise without raising an unhandled rejection when nobody
+// awaited it; a caller that did await still gets the error
+function rejectQuietly(pending, err) {
+  pending.promise.catch(() => {});
+  pending.reject(err);
+}
+
+function abortError(signal) {
+  if (signal.reason !== undefined) return signal.reason;
+  
+  const err = new Error("Primux: the operation was aborted");
+  err.name = "AbortError";
+  return err;
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) throw abortError(signal);
+}
+
+function abortableSleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(abortError(signal));
+    
+    const onAbort = () => {
+      clearTimeout(timerId);
+      reject(abortError(signal));
+    };
+    
+    const timerId = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+const realClock = { sleep: abortableSleep };
+
+function resolveRetryPolicy(fn, policy, defaults = {}) {
+  const options = typeof policy === "number" ? { attempts: policy } : policy || {};
+  
+  const {
+    attempts = defaults.attempts ?? 3,
+    delay = defaults.delay ?? 0,
+    backoff = "fixed",
+    factor = 2,
+    maxDelay = Infinity,
+    jitter = "none",
+    shouldRetry = () => true,
+    onRetry,
+    signal,
+    clock = realClock,
+    rng = Math.random
+  } = options;
+  
+  guard(fn, { attempts, delay, backoff, factor, maxDelay, jitter, shouldRetry, onRetry, signal, clock, rng }, {
+    attempts: "number",
+    delay: "number",
+    backoff: "string",
+    factor: "number",
+    maxDelay: "number",
+    jitter: "string",
+    shouldRetry: "function",
+    onRetry: "function?",
+    signal: "object?",
+    clock: "object",
+    rng: "function"
+  });
+  
+  if (!Number.isInteger(attempts) || attempts < 0)
+    throw new RangeError(`Primux/${fn}: attempts should be a non-negative integer`);
+  
+  if (!Number.isFinite(delay) || delay < 0)
+    throw new RangeError(`Primux/${fn}: delay should be a finite non-negative number`);
+  
+  if (!(maxDelay >= 0))
+    throw new RangeError(`Primux/${fn}: maxDelay should be a non-negative number`);
+  
+  if (!["fixed", "linear", "exponential"].includes(backoff))
+    throw new RangeError(`Primux/${fn}: backoff must be "fixed", "linear" or "exponential"`);
+  
+  if (!["none", "full", "decorrelated"].includes(jitter))
+    throw new RangeError(`Primux/${fn}: jitter must be "none", "full" or "decorrelated"`);
+  
+  if (typeof clock.sleep !== "function")
+    throw new TypeError(`Primux/${fn}: clock must have a sleep(ms, signal) method`);
+  
+  return { attempts, delay, backoff, factor, maxDelay, jitter, shouldRetry, onRetry, signal, clock, rng };
+}
+
+function retryDelay(policy, attempt, previous) {
+  const { delay, backoff, factor, maxDelay, jitter, rng } = policy;
+  
+  let ms = delay;
+  if (backoff === "linear") ms = delay * attempt;
+  if (backoff === "exponential") ms = delay * factor ** (attempt - 1);
+  
+  // Decorrelated jitter grows from the previous delay rather than the backoff curve
+  if (jitter === "full") ms = rng() * ms;
+  if (jitter === "decorrelated") ms = delay + rng() * (Math.max(previous, delay) * 3 - delay);
+  
+  return Math.min(ms, maxDelay);
+}
+
+function runPool(length, limit, task, settled) {
+  const results = new Array(length);
+  let next = 0;
+  let failed = false;
+  
+  async function worker() {
+    while (!failed && next < length) {
+      const i = next++;
+      
+      try {
+        const value = await task(i);
+        results[i] = settled ? { status: "fulfilled", value } : value;
+      } catch (reason) {
+        if (!settled) {
+          failed = true;
+          throw reason;
+        }
+        results[i] = { status: "rejected", reason };
+      }
+    }
+  }
+  
+  const workers = [];
+  for (let i = 0; i < Math.min(limit, length); i++) workers.push(worker());
+  
+  return Promise.all(workers).then(() => results);
+}
+
+function guardLimit(limit, fn) {
+  if (limit !== Infinity && (!Number.isInteger(limit) || limit < 1)) {
+    throw new RangeError(`Primux/${fn}: concurrency limit should be a positive integer`);
+  }
+}
+
+class TimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TimeoutError";
+  }
+}
+
+class RateLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RateLimitError";
+  }
+}
+
+class CircuitOpenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CircuitOpenError";
+  }
+}
+
+function isAsyncIterable(v) {
+  return v != null && typeof v[Symbol.asyncIterator] === "function";
+}
+
+function isIterable(v) {
+  return v != null && typeof v[Symbol.iterator] === "function";
+}
+
+function guardIterable(fn, source) {
+  if (!isIterable(source) && !isAsyncIterable(source)) {
+    throw new TypeError(`Primux/${fn}: expected an iterable or async iterable`);
+  }
+}
+
+// Sparse Fisher–Yates: yields a random permutation of 0..size-1 lazily,
+// storing only the slots that have been displaced so far
+function* sparseShuffle(size, rng) {
+  const slots = new Map();
+  
+  for (let i = 0; i < size; i++) {
+    const j = i + Math.floor(rng() * (size - i));
+    const picked = slots.has(j) ? slots.get(j) : j;
+    
+    slots.set(j, slots.has(i) ? slots.get(i) : i);
+    slots.delete(i);
+    
+    yield picked;
+  }
+}
+
+// Random helpers take a trailing options object ({ rng }); in the numeric helpers it may
+// stand in for precision, so random(0, 10, { rng }) needs no placeholder
+function randomOptions(fn, precision, options) {
+  if (precision !== null && typeof precision === "object") [precision, options] = [0, precision];
+  
+  guard(fn, { precision, options }, { precision: "number", options: "object?" });
+  
+  const { rng = Math.random } = options || {};
+  guard(fn, { rng }, { rng: "function" });
+  
+  return { precision, rng };
+}
+
+function uniqueIntSource(fn, min, max, precision, rng) {
+  if (!Number.isInteger(precision) || precision < 0)
+    throw new Error(`${fn}(): precision must be non-negative integer`);
+  
+  if (min > max)[min, max] = [max, min];
+  
+  const factor = 10 ** precision;
+  const scaledMin = Math.ceil(min * factor);
+  const scaledMax = Math.floor(max * factor);
+  const size = Math.max(0, scaledMax - scaledMin + 1);
+  
+  const indices = sparseShuffle(size, rng);
+  const toValue = i => Number(((scaledMin + i) / factor).toFixed(precision));
+  
+  return { size, indices, toValue };
+}
+
+// Groups values into equivalence classes: by hashed key, or by a comparator
+// (pairwise, so O(n) per lookup) when one is given
+function createLookup(fn, options) {
+  guard(fn, { options }, { options: "object?" });
+  
+  const { by, comparator } = options || {};
+  guard(fn, { comparator }, { comparator: "function?" });
+  
+  const keyOf = keyAccessor(fn, by);
+  const reps = [];
+  
+  // Primitives and functions are keyed directly: Map's SameValueZero is deepEqual for them.
+  // Objects are bucketed by digest and a match is confirmed with deepEqual, so a collision
+  // never merges distinct values
+  const primitives = new Map();
+  const buckets = new Map();
+  
+  const digestOf = key => comparator || key === null || typeof key !== "object" ? undefined : hashKey(key);
+  
+  function find(key, digest) {
+    if (comparator) return reps.findIndex(r => comparator(r, key));
+    
+    if (digest === undefined) {
+      const id = primitives.get(key);
+      return id === undefined ? -1 : id;
+    }
+    
+    const bucket = buckets.get(digest);
+    if (bucket === undefined) return -1;
+    
+    for (const id of bucket) {
+      if (deepEqual(reps[id], key)) return id;
+    }
+    
+    return -1;
+  }
+  
+  // Returns the class id of v, creating a class when v matches none
+  function add(v) {
+    const key = keyOf(v);
+    const digest = digestOf(key);
+    const found = find(key, digest);
+    if (found !== -1) return found;
+    
+    const id = reps.push(key) - 1;
+    if (comparator) return id;
+    
+    if (digest === undefined) {
+      primitives.set(key, id);
+    } else {
+      const bucket = buckets.get(digest);
+      if (bucket) bucket.push(id);
+      else buckets.set(digest, [id]);
+    }
+    
+    return id;
+  }
+  
+  return {
+    add,
+    
+    has(v) {
+      const key = keyOf(v);
+      return find(key, digestOf(key)) !== -1;
+    },
+    
+    // True when v starts a new class, i.e. the first time an equal value is seen
+    addNew(v) {
+      const before = reps.length;
+      return add(v) === before;
+    }
+  };
+}
+
+// Turns a key function or a dotted property path ("address.city") into an accessor
+function keyAccessor(fn, key) {
+  if (key === undefined) return v => v;
+  if (typeof key === "function") return key;
+  
+  if (typeof key === "string" || typeof key === "number" || typeof key === "symbol") {
+    const path = typeof key === "string" ? key.split(".") : [key];
+    return v => path.reduce((acc, k) => acc == null ? undefined : acc[k], v);
+  }
+  
+  throw new TypeError(`Primux/${fn}: key must be a function or a property path`);
+}
+
+// Null placement is absolute, so it is not flipped by dir
+function compareSortValues(a, b, { dir, nulls, collator }) {
+  const aNil = a == null || Number.isNaN(a);
+  const bNil = b == null || Number.isNaN(b);
+  
+  if (aNil || bNil) {
+    if (aNil && bNil) return 0;
+    return (aNil ? 1 : -1) * (nulls === "first" ? -1 : 1);
+  }
+  
+  return dir * compareSortKeys(a, b, collator);
+}
+
+function compareSortKeys(a, b, collator) {
+  if (typeof a === "string" && typeof b === "string") return collator.compare(a, b);
+  
+  const x = a instanceof Date ? a.getTime() : typeof a === "boolean" ? Number(a) : a;
+  const y = b instanceof Date ? b.getTime() : typeof b === "boolean" ? Number(b) : b;
+  
+  // Mixed types are grouped by type name so the order is still deterministic
+  if (typeof x !== typeof y) return typeof x < typeof y ? -1 : 1;
+  if (typeof x === "number" || typeof x === "bigint") return x < y ? -1 : x > y ? 1 : 0;
+  
+  return collator.compare(String(x), String(y));
+}
+
+// Buckets items by key in first-seen order. Object output groups by property key;
+// Map output groups structurally equal keys (e.g. equal Dates) under the first one seen
+function collectGroups(fn, items, getKeys, as) {
+  if (as !== "object" && as !== "map")
+    throw new RangeError(`Primux/${fn}: "as" must be "object" or "map"`);
+  
+  const buckets = new Map();
+  const lookup = createLookup(fn);
+  
+  items.forEach((item, i) => {
+    for (const key of getKeys(item, i)) {
+      const id = as === "map" ? lookup.add(key) : typeof key === "symbol" ? key : String(key);
+      
+      if (!buckets.has(id)) buckets.set(id, { key: as === "map" ? key : id, items: [] });
+      buckets.get(id).items.push(item);
+    }
+  });
+  
+  return [...buckets.values()];
+}
+
+function toGroupOutput(groups, as, mapItems) {
+  if (as === "map") return new Map(groups.map(g => [g.key, mapItems(g.items)]));
+  
+  // Keys often come from data, so they are defined rather than assigned: a "__proto__"
+  // key becomes an ordinary property instead of replacing the prototype
+  const result = {};
+  for (const g of groups) {
+    Object.defineProperty(result, g.key, { value: mapItems(g.items), enumerable: true, writable: true, configurable: true });
+  }
+  return result;
+}
+
+function isFiniteNumber(v) {
+  return typeof v === "number" && Number.isFinite(v);
+}
+
+function finiteValues(array) {
+  return array.filter(isFiniteNumber);
+}
+
+// Keeps only index pairs where both sides are finite numbers
+function finitePairs(fn, x, y) {
+  if (x.length !== y.length)
+    throw new RangeError(`Primux/${fn}: arrays must have the same length`);
+  
+  const xs = [];
+  const ys = [];
+  
+  for (let i = 0; i < x.length; i++) {
+    const a = x[i];
+    const b = y[i];
+    
+    if (isFiniteNumber(a) && isFiniteNumber(b)) {
+      xs.push(a);
+      ys.push(b);
+    }
+  }
+  
+  return [xs, ys];
+}
+
+function meanOf(nums) {
+  let total = 0;
+  for (const v of nums) total += v;
+  return total / nums.length;
+}
+
+function varianceOf(nums, sample) {
+  const n = nums.length;
+  if (n === 0 || (sample && n < 2)) return undefined;
+  
+  const mean = meanOf(nums);
+  let ss = 0;
+  
+  for (const v of nums) ss += (v - mean) ** 2;
+  
+  return ss / (sample ? n - 1 : n);
+}
+
+function covarianceOf(xs, ys, sample) {
+  const n = xs.length;
+  if (n === 0 || (sample && n < 2)) return undefined;
+  
+  const mx = meanOf(xs);
+  const my = meanOf(ys);
+  let s = 0;
+  
+  for (let i = 0; i < n; i++) s += (xs[i] - mx) * (ys[i] - my);
+  
+  return s / (sample ? n - 1 : n);
+}
+
+function pearsonOf(xs, ys) {
+  const n = xs.length;
+  if (n < 2) return undefined;
+  
+  const mx = meanOf(xs);
+  const my = meanOf(ys);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  
+  for (let i = 0; i < n; i++) {
+    const dx = xs[i] - mx;
+    const dy = ys[i] - my;
+    sxy += dx * dy;
+    sxx += dx * dx;
+    syy += dy * dy;
+  }
+  
+  return sxx === 0 || syy === 0 ? undefined : sxy / Math.sqrt(sxx * syy);
+}
+
+// Ties share the average of the ranks they span
+function rankValues(nums) {
+  const order = nums.map((v, i) => i).sort((a, b) => nums[a] - nums[b]);
+  const ranks = new Array(nums.length);
+  
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && nums[order[j + 1]] === nums[order[i]]) j++;
+    
+    const rank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) ranks[order[k]] = rank;
+    
+    i = j + 1;
+  }
+  
+  return ranks;
+}
+
+const QUANTILE_METHODS = ["linear", "lower", "higher", "nearest", "midpoint"];
+
+// Same interpolation methods as numpy; "linear" is R's default type 7
+function quantileSorted(sorted, q, method) {
+  const pos = q * (sorted.length - 1);
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  
+  switch (method) {
+    case "lower": return sorted[lo];
+    case "higher": return sorted[hi];
+    case "nearest": return sorted[Math.round(pos)];
+    case "midpoint": return (sorted[lo] + sorted[hi]) / 2;
+    default: return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+  }
+}
+
+function quantilesOf(fn, array, qs, scale, method) {
+  if (!QUANTILE_METHODS.includes(method))
+    throw new RangeError(`Primux/${fn}: method must be one of ${QUANTILE_METHODS.join(", ")}`);
+  
+  const list = Array.isArray(qs) ? qs : [qs];
+  
+  for (const q of list) {
+    if (typeof q !== "number" || !(q >= 0 && q <= scale))
+      throw new RangeError(`Primux/${fn}: value must be between 0 and ${scale}`);
+  }
+  
+  const sorted = finiteValues(array).sort((a, b) => a - b);
+  const result = list.map(q => sorted.length === 0 ? undefined : quantileSorted(sorted, q / scale, method));
+  
+  return Array.isArray(qs) ? result : result[0];
+}
+
+// merge() takes another accumulator or a snapshot received from elsewhere (e.g. a worker)
+function snapshotOf(fn, other) {
+  const snap = other && typeof other.snapshot === "function" ? other.snapshot() : other;
+  
+  if (snap === null || typeof snap !== "object" || typeof snap.count !== "number")
+    throw new TypeError(`Primux/${fn}: merge expects an accumulator or its snapshot`);
+  
+  return snap;
+}
+
+function isTypedArray(v) {
+  return ArrayBuffer.isView(v) && !(v instanceof DataView);
+}
+
+// Finite numbers, or BigInts when every numeric entry is a BigInt; anything else is
+// skipped. An array that mixes the two keeps only its numbers, as before BigInt support
+function numericValues(array) {
+  const numbers = [];
+  const bigints = [];
+  
+  for (let i = 0; i < array.length; i++) {
+    const v = array[i];
+    
+    if (typeof v === "bigint") bigints.push(v);
+    else if (typeof v === "number" && Number.isFinite(v)) numbers.push(v);
+  }
+  
+  return numbers.length === 0 ? bigints : numbers;
+}
+
+// Neumaier's variant of Kahan summation, which also handles terms larger than the running total
+function preciseSum(nums) {
+  let total = 0;
+  let compensation = 0;
+  
+  for (const v of nums) {
+    const t = total + v;
+    compensation += Math.abs(total) >= Math.abs(v) ? (total - t) + v : (v - t) + total;
+    total = t;
+  }
+  
+  return total + compensation;
+}
+
+function totalOf(nums, precise) {
+  if (typeof nums[0] === "bigint") return nums.reduce((a, b) => a + b);
+  return precise ? preciseSum(nums) : nums.reduce((a, b) => a + b, 0);
+}
+
+function guardNegativeNumber(length, fn) {
+  if (length < 0) {
+    throw new RangeError(`Primux/${fn}: value must not be negative`);
+  }
+}
+
+/**
+ * Primux
+ * A comprehensive JavaScript utility library by Jishith M P
+ */
+
+
+// ___________________________________
+// * Primux - String utlity functions
+// ___________________________________ 
+
+  function uppercaseWords(str) {
+    guard("uppercaseWords", { str }, { str: "string" });
+    return str ? str.trim().split(/\s+/).map(w => w[0].toUpperCase() + w.slice(1))
+      .join(" ") : "";
+  }
+  
+  function lowercaseWords(str) {
+    guard("lowercaseWords", { str }, { str: "string" });
+    return str ? str.trim().split(/\s+/).map(w => w[0].toLowerCase() + w.slice(1))
+      .join(" ") : "";
+  }
+  
+  function truncate(str, length, ellipsis = "...") {
+    guard("truncate", { str, length, ellipsis }, { str: "string", length: "number", ellipsis: "string?" });
+    if (!str || !length) return "";
+    guardNegativeNumber(length, "truncate(str, length, ellipsis?)");
+    if (str.length <= length) return str;
+    return str.slice(0, length) + ellipsis;
+  }
+  
+  function uppercaseChar(char) {
+    guard("uppercaseChar", { char }, { char: "string" });
+    if (!char) return "";
+    checkChar(char, "uppercaseChar(char)");
+    return char.toUpperCase();
+  }
+  
+  function lowercaseFirstChar(str) {
+    guard("lowercaseFirstChar", { str }, { str: "string" });
+    if (!str) return "";
+    const chars = Array.from(str);
+    chars[0] = chars[0].toLowerCase();
+    return chars.join("");
+  }
+  
+  function uppercaseFirstChar(str) {
+    guard("uppercaseFirstChar", { str }, { str: "string" });
+    if (!str) return "";
+    const chars = Array.from(str);
+    chars[0] = chars[0].toUpperCase();
+    return chars.join("");
+  }
+  
+  function lowercaseChar(char) {
+    guard("lowercaseChar", { char }, { char: "string" });
+    if (!char) return "";
+    checkChar(char, "lowercaseChar(char)");
+    return char.toLowerCase();
+  }
+  
+  function slugify(str) {
+    guard("slugify", { str }, { str: "string" });
+    
+    if (!str) return "";
+    
+    return str
+      .toLowerCase()
+      .trim()
+      .replace(/[^\w\s-]/g, "")
+      .replace(/\s+/g, "-")
+      .replace(/-+/g, "-")
+      .replace(/^-+|-+$/g, "");
+  }
+  
+  function stripHtml(html) {
+    guard("stripHtml", { html }, { html: "string" });
+    
+    if (typeof document !== "undefined") {
+      const div = createElement("div", { html: html })
+      div.querySelectorAll("script, style").forEach(el => el.remove());
+      return div.textContent || "";
+    }
+    
+    return html ? html
+      .replace(/<script[\s\S]*?>[\s\S]*?<\/script>/gi, "")
+      .replace(/<style[\s\S]*?>[\s\S]*?<\/style>/gi, "")
+      .replace(/<[^>]+>/g, "") :
+      "";
+  }
+  
+  function escapeHtml(html) {
+    guard("escapeHtml", { html }, { html: "string" });
+    return html ? html
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;") : "";
+  }
+  
+  function countOccurrences(str, s) {
+    guard("countOccurrences", { str, s }, { str: "string", s: "string" });
+    
+    if (!s || !str) return 0;
+    
+    let count = 0;
+    let pos = 0;
+    
+    while ((pos = str.indexOf(s, pos)) !== -1) {
+      count++;
+      pos += s.length;
+    }
+    
+    return count;
+  }
+  
+  
+  function reverseString(str) {
+    guard("reverseString", { str }, { str: "string" });
+    
+    return str ? Array.from(str).reverse().join("") : "";
+  }
+  
+  function padCenter(str, length, pad = " ") {
+    guard("padCenter", { str, length, pad }, { str: "string", length: "number", pad: "string?" });
+    
+    guardNegativeNumber(length, "padCenter(str, length, pad?)");
+    
+    if (!pad) {
+      throw new TypeError("Primux/padCenter: pad must be non-empty");
+    }
+    
+    const strLen = str.length;
+    if (strLen >= length) return str;
+    
+    const totalPad = length - strLen;
+    const left = Math.floor(totalPad / 2);
+    const right = totalPad - left;
     
     const makePad = (n) =>
       pad.repeat(Math.ceil(n / pad.length)).slice(0, n);
@@ -382,49 +1414,30 @@ function guardNegativeNumber(length, fn) {
     return { value: array[i], exists: true }
   }
   
-  function sum(array) {
-    guard("sum", { array }, { array: "array" });
-    let total = 0;
-    
-    for (let i = 0; i < array.length; i++) {
-      const v = array[i];
-      
-      if (typeof v === "number" && Number.isFinite(v)) {
-        total += v;
-      }
-    }
-    
-    return total;
+  // Also accept typed arrays and BigInt arrays; BigInt input gives a BigInt result
+  function sum(array, options = {}) {
+    guard("sum", { array, options }, { array: isTypedArray(array) ? "any" : "array", options: "object?" });
+    const { precise = false } = options;
+    return totalOf(numericValues(array), precise);
   }
   
-  function average(array) {
-    guard("average", { array }, { array: "array" });
-    let total = 0;
-    let count = 0;
+  // The mean of BigInts is rarely whole, so it is returned as a number
+  function average(array, options = {}) {
+    guard("average", { array, options }, { array: isTypedArray(array) ? "any" : "array", options: "object?" });
     
-    for (let i = 0; i < array.length; i++) {
-      const v = array[i];
-      
-      if (typeof v === "number" && Number.isFinite(v)) {
-        total += v;
-        count++
-      }
-    }
+    const { precise = false } = options;
+    const nums = numericValues(array);
     
-    return count === 0 ? undefined : total / count;
+    return nums.length === 0 ? undefined : Number(totalOf(nums, precise)) / nums.length;
   }
   
   function min(array) {
-    guard("min", { array }, { array: "array" });
+    guard("min", { array }, { array: isTypedArray(array) ? "any" : "array" });
     let min;
     
-    for (let i = 0; i < array.length; i++) {
-      const v = array[i];
-      
-      if (typeof v === "number" && Number.isFinite(v)) {
-        if (min === undefined || v < min) {
-          min = v;
-        }
+    for (const v of numericValues(array)) {
+      if (min === undefined || v < min) {
+        min = v;
       }
     }
     
@@ -432,16 +1445,12 @@ function guardNegativeNumber(length, fn) {
   }
   
   function max(array) {
-    guard("max", { array }, { array: "array" });
+    guard("max", { array }, { array: isTypedArray(array) ? "any" : "array" });
     let max;
     
-    for (let i = 0; i < array.length; i++) {
-      const v = array[i];
-      
-      if (typeof v === "number" && Number.isFinite(v)) {
-        if (max === undefined || v > max) {
-          max = v;
-        }
+    for (const v of numericValues(array)) {
+      if (max === undefined || v > max) {
+        max = v;
       }
     }
     
@@ -449,21 +1458,17 @@ function guardNegativeNumber(length, fn) {
   }
   
   function range(array) {
-    guard("range", { array }, { array: "array" });
+    guard("range", { array }, { array: isTypedArray(array) ? "any" : "array" });
     let max;
     let min;
     
-    for (let i = 0; i < array.length; i++) {
-      const v = array[i];
+    for (const v of numericValues(array)) {
+      if (max === undefined || v > max) {
+        max = v;
+      }
       
-      if (typeof v === "number" && Number.isFinite(v)) {
-        if (max === undefined || v > max) {
-          max = v;
-        }
-        
-        if (min === undefined || v < min) {
-          min = v;
-        }
+      if (min === undefined || v < min) {
+        min = v;
       }
     }
     
@@ -487,140 +1492,134 @@ function guardNegativeNumber(length, fn) {
     }
   }
   
-  function unique(array) {
-    guard("unique", { array }, { array: "array" });
-    
-    const seen = new Map();
-    const result = [];
-    
-    for (const v of array) {
-      const key = stableHash(v);
-      if (!seen.has(key)) {
-        seen.set(key, true);
-        result.push(v);
-      }
-    }
+  function unique(array, options) {
+    guard("unique", { array, options }, { array: "array", options: "object?" });
     
-    return result;
+    const seen = createLookup("unique", options);
+    return array.filter(v => seen.addNew(v));
   }
   
-  function duplicates(array) {
-    guard("duplicates", { array }, { array: "array" });
+  function duplicates(array, options) {
+    guard("duplicates", { array, options }, { array: "array", options: "object?" });
     
-    const count = new Map();
-    const originals = new Map();
-    const result = [];
+    const seen = createLookup("duplicates", options);
+    const counts = [];
+    const originals = [];
     
     for (const v of array) {
-      const key = stableHash(v);
+      const id = seen.add(v);
       
-      if (!count.has(key)) {
-        originals.set(key, v);
-        count.set(key, 1);
+      if (id === originals.length) {
+        originals.push(v);
+        counts.push(1);
       } else {
-        count.set(key, count.get(key) + 1);
-      }
-    }
-    
-    for (const [key, c] of count.entries()) {
-      if (c > 1) {
-        result.push(originals.get(key));
+        counts[id]++;
       }
     }
     
-    return result;
+    return originals.filter((_, id) => counts[id] > 1);
   }
   
   function count(array, value) {
     guard("count", { array, value }, { array: "array", value: "any?" });
     
     if (value !== undefined) {
-      const key = stableHash(value);
+      const key = hashKey(value);
       let total = 0;
       
       for (const v of array) {
-        if (stableHash(v) === key) total++;
+        if (hashKey(v) === key && deepEqual(v, value)) total++;
       }
       
       return total;
     }
     
-    const result = new Map();
+    // Keyed by the first occurrence of each distinct value. Keys used to be readable
+    // hash strings ("number:1"); digests are opaque and can collide, so values are used
+    const seen = createLookup("count");
+    const firsts = [];
+    const counts = [];
     
     for (const v of array) {
-      const key = stableHash(v);
-      result.set(key, (result.get(key) || 0) + 1);
+      const id = seen.add(v);
+      
+      if (id === firsts.length) {
+        firsts.push(v);
+        counts.push(1);
+      } else {
+        counts[id]++;
+      }
     }
     
-    return result;
+    return new Map(firsts.map((v, id) => [v, counts[id]]));
   }
   
-  function containsAll(array, other) {
-    guard("containsAll", { array, other }, { array: "array", other: "array" });
+  function containsAll(array, other, options) {
+    guard("containsAll", { array, other, options }, { array: "array", other: "array", options: "object?" });
     
-    const map = new Map();
+    const lookup = createLookup("containsAll", options);
+    array.forEach(v => lookup.add(v));
     
-    for (const v of array) {
-      map.set(stableHash(v), true);
-    }
+    return other.every(v => lookup.has(v));
+  }
+  
+  function isSubset(array, other, options) {
+    guard("isSubset", { array, other, options }, { array: "array", other: "array", options: "object?" });
     
-    for (const v of other) {
-      if (!map.has(stableHash(v))) {
-        return false;
-      }
-    }
+    const lookup = createLookup("isSubset", options);
+    other.forEach(v => lookup.add(v));
     
-    return true;
+    return array.every(v => lookup.has(v));
   }
   
-  
   function intersection(array, other, options = {}) {
     guard("intersection", { array, other, options }, { array: "array", other: "array", options: "object?" });
     
     const { unique = false } = options;
     
-    const map = new Map();
-    const result = [];
-    const seen = new Set();
+    const lookup = createLookup("intersection", options);
+    const seen = createLookup("intersection", options);
+    other.forEach(v => lookup.add(v));
     
-    for (const v of other) {
-      map.set(stableHash(v), true);
-    }
+    return array.filter(v => lookup.has(v) && (!unique || seen.addNew(v)));
+  }
+  
+  function difference(array, other, options = {}) {
+    guard("difference", { array, other, options }, { array: "array", other: "array", options: "object?" });
     
-    for (const v of array) {
-      const h = stableHash(v);
-      
-      if (map.has(h)) {
-        if (unique) {
-          if (!seen.has(h)) {
-            result.push(v);
-            seen.add(h);
-          }
-        } else {
-          result.push(v);
-        }
-      }
-    }
+    const { unique = false } = options;
     
-    return result;
+    const lookup = createLookup("difference", options);
+    const seen = createLookup("difference", options);
+    other.forEach(v => lookup.add(v));
+    
+    return array.filter(v => !lookup.has(v) && (!unique || seen.addNew(v)));
   }
   
-  function union(array, other) {
-    guard("union", { array, other }, { array: "array", other: "array" });
+  function symmetricDifference(array, other, options = {}) {
+    guard("symmetricDifference", { array, other, options }, { array: "array", other: "array", options: "object?" });
     
-    const result = [];
-    const seen = new Map();
+    const { unique = false } = options;
     
-    for (const v of [...array, ...other]) {
-      const key = stableHash(v);
-      
-      if (!seen.has(key)) {
-        seen.set(key, true);
-        result.push(v);
-      }
-    }
+    const left = createLookup("symmetricDifference", options);
+    const right = createLookup("symmetricDifference", options);
+    const seen = createLookup("symmetricDifference", options);
+    array.forEach(v => left.add(v));
+    other.forEach(v => right.add(v));
     
-    return result;
+    const keep = v => !unique || seen.addNew(v);
+    
+    return [
+      ...array.filter(v => !right.has(v) && keep(v)),
+      ...other.filter(v => !left.has(v) && keep(v))
+    ];
+  }
+  
+  function union(array, other, options) {
+    guard("union", { array, other, options }, { array: "array", other: "array", options: "object?" });
+    
+    const seen = createLookup("union", options);
+    return [...array, ...other].filter(v => seen.addNew(v));
   }
   
   function remove(array, value) {
@@ -716,61 +1715,538 @@ function guardNegativeNumber(length, fn) {
   function sortAsc(array, comparator) {
     guard("sortAsc", { array, comparator }, { array: "array", comparator: "function?" });
     
-    if (typeof comparator === "function") return [...array].sort(comparator);
+    if (typeof comparator === "function") return [...array].sort(comparator);
+    
+    return [...array].sort((a, b) => {
+      const toNumber = v => (typeof v === "boolean" ? (v ? 1 : 0) : v);
+      
+      if (typeof a === "number" && typeof b === "number") return a - b;
+      if (typeof a === "string" && typeof b === "string") return a.localeCompare(b);
+      
+      return toNumber(a) - toNumber(b);
+    });
+  }
+  
+  function sortDesc(array, comparator) {
+    guard("sortDesc", { array, comparator }, { array: "array", comparator: "function?" });
+    
+    if (typeof comparator === "function") {
+      return [...array].sort((a, b) => comparator(b, a));
+    }
+    
+    return [...array].sort((a, b) => {
+      const toNumber = v => (typeof v === "boolean" ? (v ? 1 : 0) : v);
+      
+      if (typeof a === "number" && typeof b === "number") return b - a;
+      if (typeof a === "string" && typeof b === "string") return b.localeCompare(a);
+      
+      return toNumber(b) - toNumber(a);
+    });
+  }
+  
+  // Criteria take { key, order, nulls, locale, numeric, caseFirst, sensitivity };
+  // numeric: true gives natural order ("file2" before "file10")
+  function sortBy(array, criteria, options = {}) {
+    guard("sortBy", { array, criteria, options }, {
+      array: "array",
+      criteria: "array|object|string|number|symbol|function",
+      options: "object?"
+    });
+    
+    const list = (Array.isArray(criteria) ? criteria : [criteria])
+      .map(c => c !== null && typeof c === "object" ? c : { key: c });
+    
+    if (list.length === 0)
+      throw new RangeError("Primux/sortBy: at least one sort criterion is required");
+    
+    const sorters = list.map(c => {
+      const {
+        key,
+        order = options.order ?? "asc",
+        nulls = options.nulls ?? "last",
+        locale = options.locale,
+        numeric = options.numeric ?? false,
+        caseFirst = options.caseFirst,
+        sensitivity = options.sensitivity
+      } = c;
+      
+      guard("sortBy", { order, nulls, numeric, caseFirst, sensitivity }, {
+        order: "string",
+        nulls: "string",
+        numeric: "boolean",
+        caseFirst: "string?",
+        sensitivity: "string?"
+      });
+      
+      if (order !== "asc" && order !== "desc")
+        throw new RangeError('Primux/sortBy: order must be "asc" or "desc"');
+      
+      if (nulls !== "first" && nulls !== "last")
+        throw new RangeError('Primux/sortBy: nulls must be "first" or "last"');
+      
+      return {
+        get: keyAccessor("sortBy", key),
+        dir: order === "desc" ? -1 : 1,
+        nulls,
+        collator: new Intl.Collator(locale, { numeric, caseFirst, sensitivity })
+      };
+    });
+    
+    // Keys are read once per item; Array#sort is stable, so ties keep input order
+    return array
+      .map(value => ({ value, keys: sorters.map(s => s.get(value)) }))
+      .sort((a, b) => {
+        for (let i = 0; i < sorters.length; i++) {
+          const result = compareSortValues(a.keys[i], b.keys[i], sorters[i]);
+          if (result !== 0) return result;
+        }
+        return 0;
+      })
+      .map(item => item.value);
+  }
+  
+  function shuffle(array, options) {
+    guard("shuffle", { array, options }, { array: "array", options: "object?" });
+    
+    const { rng } = randomOptions("shuffle", 0, options);
+    const result = [...array];
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(rng() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+  
+  function sample(array, count = 1, options) {
+    guard("sample", { array, count, options }, { array: "array", count: "number?", options: "object?" });
+    
+    const { rng } = randomOptions("sample", 0, options);
+    
+    if (array.length === 0) return undefined;
+    if (count > array.length) {
+      throw new RangeError("Primux/sample: count exceeds array length");
+    }
+    
+    const shuffled = shuffle(array, { rng });
+    return shuffled.slice(0, count);
+  }
+  
+  function compact(array) {
+    guard("compact", { array }, { array: "array" });
+    return array.filter(v => Boolean(v));
+  }
+  
+  // _________________________________
+  // * Primux - Statistics utility functions
+  // _________________________________
+  
+  /* ---------- Spread ---------- */
+  
+  // Sample statistics (n - 1) by default, pass { sample: false } for population
+  function variance(array, options = {}) {
+    guard("variance", { array, options }, { array: "array", options: "object?" });
+    const { sample = true } = options;
+    return varianceOf(finiteValues(array), sample);
+  }
+  
+  function std(array, options = {}) {
+    guard("std", { array, options }, { array: "array", options: "object?" });
+    const { sample = true } = options;
+    const v = varianceOf(finiteValues(array), sample);
+    return v === undefined ? undefined : Math.sqrt(v);
+  }
+  
+  // Non-finite entries keep their position as NaN
+  function zScores(array, options = {}) {
+    guard("zScores", { array, options }, { array: "array", options: "object?" });
+    
+    const { sample = true } = options;
+    const nums = finiteValues(array);
+    const v = varianceOf(nums, sample);
+    
+    if (!v) return undefined;
+    
+    const mean = meanOf(nums);
+    const sd = Math.sqrt(v);
+    
+    return array.map(x => isFiniteNumber(x) ? (x - mean) / sd : NaN);
+  }
+  
+  /* ---------- Distribution ---------- */
+  
+  // Every value sharing the highest count, ascending
+  function mode(array) {
+    guard("mode", { array }, { array: "array" });
+    
+    const counts = new Map();
+    let top = 0;
+    
+    for (const v of finiteValues(array)) {
+      const c = (counts.get(v) || 0) + 1;
+      counts.set(v, c);
+      if (c > top) top = c;
+    }
+    
+    if (top === 0) return undefined;
+    
+    return [...counts].filter(([, c]) => c === top).map(([v]) => v).sort((a, b) => a - b);
+  }
+  
+  function quantile(array, q, options = {}) {
+    guard("quantile", { array, q, options }, { array: "array", q: "number|array", options: "object?" });
+    const { method = "linear" } = options;
+    return quantilesOf("quantile", array, q, 1, method);
+  }
+  
+  function percentile(array, p, options = {}) {
+    guard("percentile", { array, p, options }, { array: "array", p: "number|array", options: "object?" });
+    const { method = "linear" } = options;
+    return quantilesOf("percentile", array, p, 100, method);
+  }
+  
+  function iqr(array, options = {}) {
+    guard("iqr", { array, options }, { array: "array", options: "object?" });
+    
+    const { method = "linear" } = options;
+    const [q1, q3] = quantilesOf("iqr", array, [0.25, 0.75], 1, method);
+    
+    return q1 === undefined ? undefined : q3 - q1;
+  }
+  
+  // bins is a count of equal-width bins or an ascending list of edges.
+  // Each bin includes its start, the last one also its end; values outside are skipped
+  function histogram(array, options = {}) {
+    guard("histogram", { array, options }, { array: "array", options: "object?" });
+    
+    const { bins = 10 } = options;
+    const nums = finiteValues(array);
+    let edges;
+    
+    if (Array.isArray(bins)) {
+      if (bins.length < 2 || bins.some((e, i) => !Number.isFinite(e) || (i > 0 && e <= bins[i - 1])))
+        throw new RangeError("Primux/histogram: bins must be at least two ascending finite edges");
+      
+      edges = bins;
+    } else {
+      if (!Number.isInteger(bins) || bins < 1)
+        throw new RangeError("Primux/histogram: bins must be a positive integer");
+      
+      if (nums.length === 0 && (options.min === undefined || options.max === undefined)) return [];
+      
+      const lo = options.min ?? nums.reduce((a, b) => Math.min(a, b));
+      const hi = options.max ?? nums.reduce((a, b) => Math.max(a, b));
+      
+      if (!Number.isFinite(lo) || !Number.isFinite(hi) || lo > hi)
+        throw new RangeError("Primux/histogram: min must not exceed max");
+      
+      const width = (hi - lo) / bins;
+      edges = Array.from({ length: bins + 1 }, (_, i) => i === bins ? hi : lo + i * width);
+    }
+    
+    const result = edges.slice(1).map((end, i) => ({ start: edges[i], end, count: 0 }));
+    const last = edges.length - 1;
+    
+    for (const v of nums) {
+      if (v < edges[0] || v > edges[last]) continue;
+      
+      let lo = 0;
+      let hi = last;
+      
+      while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (v < edges[mid]) hi = mid;
+        else lo = mid;
+      }
+      
+      result[lo].count++;
+    }
+    
+    return result;
+  }
+  
+  /* ---------- Paired Data ---------- */
+  
+  // Pairs with a non-finite value or weight are skipped
+  function weightedMean(values, weights) {
+    guard("weightedMean", { values, weights }, { values: "array", weights: "array" });
+    
+    const [xs, ws] = finitePairs("weightedMean", values, weights);
+    let total = 0;
+    let weight = 0;
+    
+    for (let i = 0; i < xs.length; i++) {
+      if (ws[i] < 0) throw new RangeError("Primux/weightedMean: weights must not be negative");
+      
+      total += xs[i] * ws[i];
+      weight += ws[i];
+    }
+    
+    return weight === 0 ? undefined : total / weight;
+  }
+  
+  function covariance(x, y, options = {}) {
+    guard("covariance", { x, y, options }, { x: "array", y: "array", options: "object?" });
+    const { sample = true } = options;
+    return covarianceOf(...finitePairs("covariance", x, y), sample);
+  }
+  
+  function correlation(x, y, options = {}) {
+    guard("correlation", { x, y, options }, { x: "array", y: "array", options: "object?" });
+    
+    const { method = "pearson" } = options;
+    const [xs, ys] = finitePairs("correlation", x, y);
+    
+    if (method === "pearson") return pearsonOf(xs, ys);
+    if (method === "spearman") return pearsonOf(rankValues(xs), rankValues(ys));
+    
+    throw new RangeError('Primux/correlation: method must be "pearson" or "spearman"');
+  }
+  
+  /* ---------- Streaming ---------- */
+  
+  // Welford's algorithm; merge uses Chan et al.'s parallel update
+  function createRunningStats(options = {}) {
+    guard("createRunningStats", { options }, { options: "object?" });
+    
+    const { sample = true } = options;
+    let count = 0;
+    let mean = 0;
+    let m2 = 0;
+    let min;
+    let max;
+    
+    const stats = {
+      push(...values) {
+        for (const v of values) {
+          if (!isFiniteNumber(v)) continue;
+          
+          count++;
+          const delta = v - mean;
+          mean += delta / count;
+          m2 += delta * (v - mean);
+          
+          if (min === undefined || v < min) min = v;
+          if (max === undefined || v > max) max = v;
+        }
+        
+        return stats;
+      },
+      
+      merge(other) {
+        const snap = snapshotOf("createRunningStats", other);
+        if (snap.count === 0) return stats;
+        
+        const n = count + snap.count;
+        const delta = snap.mean - mean;
+        
+        m2 += snap.m2 + delta * delta * count * snap.count / n;
+        mean += delta * snap.count / n;
+        count = n;
+        
+        if (min === undefined || snap.min < min) min = snap.min;
+        if (max === undefined || snap.max > max) max = snap.max;
+        
+        return stats;
+      },
+      
+      snapshot() {
+        const variance = count === 0 || (sample && count < 2) ? undefined : m2 / (sample ? count - 1 : count);
+        
+        return {
+          count,
+          mean: count === 0 ? undefined : mean,
+          variance,
+          std: variance === undefined ? undefined : Math.sqrt(variance),
+          min,
+          max,
+          m2
+        };
+      }
+    };
+    
+    return Object.freeze(stats);
+  }
+  
+  // Bias-corrected, so early values aren't pulled toward zero.
+  // Merging treats both streams as covering the same period
+  function createEma(options = {}) {
+    guard("createEma", { options }, { options: "object?" });
+    
+    const { span } = options;
+    const alpha = options.alpha ?? (span === undefined ? undefined : 2 / (span + 1));
+    
+    if (typeof alpha !== "number" || !(alpha > 0 && alpha <= 1))
+      throw new RangeError("Primux/createEma: alpha must be in (0, 1], or span at least 1");
+    
+    let count = 0;
+    let total = 0;
+    let weight = 0;
+    
+    const ema = {
+      push(...values) {
+        for (const v of values) {
+          if (!isFiniteNumber(v)) continue;
+          
+          count++;
+          total = total * (1 - alpha) + v;
+          weight = weight * (1 - alpha) + 1;
+        }
+        
+        return ema;
+      },
+      
+      merge(other) {
+        const snap = snapshotOf("createEma", other);
+        
+        if (snap.alpha !== alpha)
+          throw new RangeError("Primux/createEma: cannot merge averages with a different alpha");
+        
+        count += snap.count;
+        total += snap.total;
+        weight += snap.weight;
+        
+        return ema;
+      },
+      
+      snapshot() {
+        return { count, alpha, value: weight === 0 ? undefined : total / weight, total, weight };
+      }
+    };
+    
+    return Object.freeze(ema);
+  }
+  
+  // Merging t-digest: accurate at the tails, mergeable across workers.
+  // Higher compression keeps more centroids and gives better estimates
+  function createQuantileSketch(options = {}) {
+    guard("createQuantileSketch", { options }, { options: "object?" });
+    
+    const { compression = 100, quantiles = [0.5, 0.9, 0.99] } = options;
+    guard("createQuantileSketch", { compression, quantiles }, { compression: "number", quantiles: "array" });
+    
+    if (!(compression >= 10))
+      throw new RangeError("Primux/createQuantileSketch: compression must be at least 10");
+    
+    if (quantiles.some(q => typeof q !== "number" || !(q >= 0 && q <= 1)))
+      throw new RangeError("Primux/createQuantileSketch: quantiles must be between 0 and 1");
+    
+    // [mean, count] pairs sorted by mean
+    let centroids = [];
+    let buffer = [];
+    let count = 0;
+    let min;
+    let max;
+    
+    const scale = q => compression / (2 * Math.PI) * Math.asin(2 * q - 1);
+    const limit = k => k >= compression / 4 ? 1 : (Math.sin(k * 2 * Math.PI / compression) + 1) / 2;
     
-    return [...array].sort((a, b) => {
-      const toNumber = v => (typeof v === "boolean" ? (v ? 1 : 0) : v);
+    function compress() {
+      if (buffer.length === 0) return;
       
-      if (typeof a === "number" && typeof b === "number") return a - b;
-      if (typeof a === "string" && typeof b === "string") return a.localeCompare(b);
+      const all = centroids.concat(buffer).sort((a, b) => a[0] - b[0]);
+      const merged = [];
+      let [mean, weight] = all[0];
+      let before = 0;
+      let qLimit = limit(scale(0) + 1);
       
-      return toNumber(a) - toNumber(b);
-    });
-  }
-  
-  function sortDesc(array, comparator) {
-    guard("sortDesc", { array, comparator }, { array: "array", comparator: "function?" });
+      for (let i = 1; i < all.length; i++) {
+        const [m, w] = all[i];
+        
+        if ((before + weight + w) / count <= qLimit) {
+          weight += w;
+          mean += (m - mean) * w / weight;
+        } else {
+          merged.push([mean, weight]);
+          before += weight;
+          qLimit = limit(scale(before / count) + 1);
+          [mean, weight] = [m, w];
+        }
+      }
+      
+      merged.push([mean, weight]);
+      centroids = merged;
+      buffer = [];
+    }
     
-    if (typeof comparator === "function") {
-      return [...array].sort((a, b) => comparator(b, a));
+    function add(mean, weight) {
+      buffer.push([mean, weight]);
+      count += weight;
+      
+      if (buffer.length >= compression * 5) compress();
     }
     
-    return [...array].sort((a, b) => {
-      const toNumber = v => (typeof v === "boolean" ? (v ? 1 : 0) : v);
+    function quantile(q) {
+      if (typeof q !== "number" || !(q >= 0 && q <= 1))
+        throw new RangeError("Primux/createQuantileSketch: quantile must be between 0 and 1");
       
-      if (typeof a === "number" && typeof b === "number") return b - a;
-      if (typeof a === "string" && typeof b === "string") return b.localeCompare(a);
+      compress();
+      if (count === 0) return undefined;
+      if (q === 0) return min;
+      if (q === 1) return max;
+      if (centroids.length === 1) return centroids[0][0];
       
-      return toNumber(b) - toNumber(a);
-    });
-  }
-  
-  function shuffle(array) {
-    guard("shuffle", { array }, { array: "array" });
-    
-    const result = [...array];
-    for (let i = result.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [result[i], result[j]] = [result[j], result[i]];
+      // Each centroid is treated as centred on its cumulative midpoint
+      const target = q * count;
+      let cumulative = 0;
+      let prevCenter = 0;
+      let prevMean = min;
+      
+      for (const [mean, weight] of centroids) {
+        const center = cumulative + weight / 2;
+        
+        if (target < center) {
+          return prevMean + (mean - prevMean) * (target - prevCenter) / (center - prevCenter);
+        }
+        
+        cumulative += weight;
+        prevCenter = center;
+        prevMean = mean;
+      }
+      
+      return prevMean + (max - prevMean) * (target - prevCenter) / (count - prevCenter);
     }
-    return result;
-  }
-  
-  function sample(array, count = 1) {
-    guard("sample", { array, count }, { array: "array", count: "number?" });
     
-    if (array.length === 0) return undefined;
-    if (count > array.length) {
-      throw new RangeError("Primux/sample: count exceeds array length");
-    }
+    const sketch = {
+      push(...values) {
+        for (const v of values) {
+          if (!isFiniteNumber(v)) continue;
+          
+          if (min === undefined || v < min) min = v;
+          if (max === undefined || v > max) max = v;
+          add(v, 1);
+        }
+        
+        return sketch;
+      },
+      
+      merge(other) {
+        const snap = snapshotOf("createQuantileSketch", other);
+        if (snap.count === 0) return sketch;
+        
+        if (!Array.isArray(snap.centroids))
+          throw new TypeError("Primux/createQuantileSketch: snapshot has no centroids");
+        
+        if (min === undefined || snap.min < min) min = snap.min;
+        if (max === undefined || snap.max > max) max = snap.max;
+        
+        for (const [mean, weight] of snap.centroids) add(mean, weight);
+        
+        return sketch;
+      },
+      
+      quantile,
+      
+      snapshot() {
+        compress();
+        
+        const estimates = {};
+        for (const q of quantiles) estimates[q] = quantile(q);
+        
+        return { count, min, max, quantiles: estimates, centroids: centroids.map(c => c.slice()) };
+      }
+    };
     
-    const shuffled = shuffle(array);
-    return shuffled.slice(0, count);
-  }
-  
-  function compact(array) {
-    guard("compact", { array }, { array: "array" });
-    return array.filter(v => Boolean(v));
+    return Object.freeze(sketch);
   }
   
   // _________________________________
@@ -789,6 +2265,31 @@ function guardNegativeNumber(length, fn) {
     return !isEmpty(collection);
   }
   
+  function isEqual(a, b, options = {}) {
+    guard("isEqual", { options }, { options: "object?" });
+    
+    const { strict = false } = options;
+    guard("isEqual", { strict }, { strict: "boolean" });
+    
+    return structuralEqual(a, b, strict, [], []);
+  }
+  
+  function hash(value, options = {}) {
+    guard("hash", { options }, { options: "object?" });
+    
+    const { output = "hex" } = options;
+    guard("hash", { output }, { output: "string" });
+    
+    if (output === "hex") return stableHash(value);
+    
+    if (output === "bigint") {
+      const { hi, lo } = hashDigest(value);
+      return (BigInt(hi) << 32n) | BigInt(lo);
+    }
+    
+    throw new RangeError('Primux/hash(value, options?): output must be "hex" or "bigint"');
+  }
+  
   function deepClone(value, seen = new WeakMap()) {
     if (value === null || typeof value !== "object") return value;
     if (seen.has(value)) return seen.get(value);
@@ -835,24 +2336,24 @@ function guardNegativeNumber(length, fn) {
     return result;
   }
   
-  function random(p1, p2, precision = 0) {
+  function random(p1, p2, precision = 0, options) {
     
-    // ARRAY MODE
+    // ARRAY MODE: random(array, options?)
     if (Array.isArray(p1)) {
-      guard("random", { p1 }, { p1: "array" });
+      guard("random", { p1, p2 }, { p1: "array", p2: "object?" });
+      const { rng } = randomOptions("random", 0, p2);
       
       if (p1.length === 0) return undefined;
       
-      const index = Math.floor(Math.random() * p1.length);
+      const index = Math.floor(rng() * p1.length);
       return p1[index];
     }
     
-    // NUMBER MODE
-    guard("random", { p1, p2, precision }, {
-      p1: "number",
-      p2: "number",
-      precision: "number?"
-    });
+    // NUMBER MODE: random(min, max, precision?, options?)
+    guard("random", { p1, p2 }, { p1: "number", p2: "number" });
+    
+    let rng;
+    ({ precision, rng } = randomOptions("random", precision, options));
     
     let min = p1;
     let max = p2;
@@ -860,11 +2361,11 @@ function guardNegativeNumber(length, fn) {
     if (min > max)[min, max] = [max, min];
     
     if (precision > 0) {
-      const rand = Math.random() * (max - min) + min;
+      const rand = rng() * (max - min) + min;
       return Number(rand.toFixed(precision));
     }
     
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+    return Math.floor(rng() * (max - min + 1)) + min;
   }
   
   // __________________________________
@@ -1078,6 +2579,63 @@ function guardNegativeNumber(length, fn) {
     return result;
   }
   
+  /* ---------- Grouping ---------- */
+  
+  // An array of keys nests the groups: groupBy(users, ["country", "city"])
+  function groupBy(arr, key, options = {}) {
+    guard("groupBy", { arr, key, options }, { arr: "array", key: "function|string|number|array", options: "object?" });
+    
+    const { as = "object" } = options;
+    const [first, ...rest] = Array.isArray(key) ? key : [key];
+    
+    if (first === undefined)
+      throw new RangeError("Primux/groupBy: at least one key is required");
+    
+    const get = keyAccessor("groupBy", first);
+    const groups = collectGroups("groupBy", arr, (item, i) => [get(item, i)], as);
+    
+    return toGroupOutput(groups, as, items =>
+      rest.length ? groupBy(items, rest, options) : items
+    );
+  }
+  
+  function countBy(arr, key, options = {}) {
+    guard("countBy", { arr, key, options }, { arr: "array", key: "function|string|number?", options: "object?" });
+    
+    const { as = "object" } = options;
+    const get = keyAccessor("countBy", key);
+    const groups = collectGroups("countBy", arr, (item, i) => [get(item, i)], as);
+    
+    return toGroupOutput(groups, as, items => items.length);
+  }
+  
+  // Like groupBy, but the key may return several keys and the item is listed under each
+  function indexBy(arr, key, options = {}) {
+    guard("indexBy", { arr, key, options }, { arr: "array", key: "function|string|number", options: "object?" });
+    
+    const { as = "object" } = options;
+    const get = keyAccessor("indexBy", key);
+    
+    const groups = collectGroups("indexBy", arr, (item, i) => {
+      const keys = get(item, i);
+      return Array.isArray(keys) ? keys : [keys];
+    }, as);
+    
+    return toGroupOutput(groups, as, items => items);
+  }
+  
+  function partition(arr, predicate) {
+    guard("partition", { arr, predicate }, { arr: "array", predicate: "function|string|number" });
+    
+    const test = keyAccessor("partition", predicate);
+    const pass = [];
+    const fail = [];
+    
+    arr.forEach((item, i) => (test(item, i) ? pass : fail).push(item));
+    
+    return [pass, fail];
+  }
+  
   function invert(obj) {
     guard("invert", { obj }, { obj: "object" });
     
@@ -1129,107 +2687,523 @@ function guardNegativeNumber(length, fn) {
       options: "object?"
     });
     
+    const { leading = false, trailing = true, maxWait } = options;
+    guard("debounce", { leading, trailing, maxWait }, {
+      leading: "boolean",
+      trailing: "boolean",
+      maxWait: "number?"
+    });
+    
+    const wait = maxWait === undefined ? undefined : Math.max(maxWait, delay);
+    
     let timerId;
-    let lastCall = 0;
-    const { leading = false, trailing = true } = options;
+    let lastArgs;
+    let lastThis;
+    let lastCallTime;
+    let lastInvokeTime = 0;
+    let result;
+    let latest;
+    const waiting = createWaitQueue();
+    
+    // A throw rejects every pending promise, but only the call that supplied the arguments
+    // can surface it as unhandled. When that call (or flush) invokes fn directly, it throws
+    function invoke(time, sync) {
+      const args = lastArgs;
+      const context = lastThis;
+      
+      lastArgs = lastThis = undefined;
+      lastInvokeTime = time;
+      
+      try {
+        result = fn.apply(context, args);
+      } catch (err) {
+        waiting.reject(err);
+        if (!sync) return;
+        
+        latest.catch(noop);
+        throw err;
+      }
+      
+      waiting.resolve(result);
+    }
     
-    return function(...args) {
-      const context = this;
-      const now = Date.now();
+    function remainingWait(time) {
+      const sinceCall = time - lastCallTime;
+      const sinceInvoke = time - lastInvokeTime;
+      const remaining = delay - sinceCall;
+      
+      return wait === undefined ? remaining : Math.min(remaining, wait - sinceInvoke);
+    }
+    
+    function shouldInvoke(time) {
+      if (lastCallTime === undefined) return true;
+      
+      const sinceCall = time - lastCallTime;
+      const sinceInvoke = time - lastInvokeTime;
+      
+      return sinceCall >= delay || sinceCall < 0 ||
+        (wait !== undefined && sinceInvoke >= wait);
+    }
+    
+    function trailingEdge(time, sync) {
+      timerId = undefined;
+      
+      if (trailing && lastArgs) {
+        invoke(time, sync);
+      } else {
+        lastArgs = lastThis = undefined;
+        waiting.resolve(result);
+      }
+    }
+    
+    function timerExpired() {
+      const time = Date.now();
       
-      if (leading && now - lastCall > delay) {
-        fn.apply(context, args);
-        lastCall = now;
+      if (shouldInvoke(time)) {
+        trailingEdge(time);
+      } else {
+        timerId = setTimeout(timerExpired, remainingWait(time));
       }
+    }
+    
+    function debounced(...args) {
+      const time = Date.now();
+      const invoking = shouldInvoke(time);
       
-      clearTimeout(timerId);
+      lastArgs = args;
+      lastThis = this;
+      lastCallTime = time;
       
-      if (trailing) {
-        timerId = setTimeout(() => {
-          if (!leading || now - lastCall >= delay) {
-            fn.apply(context, args);
-            lastCall = Date.now();
-          }
-        }, delay);
+      const promise = waiting.add();
+      if (latest) latest.catch(noop);
+      latest = promise;
+      
+      if (invoking) {
+        if (timerId === undefined) {
+          // Leading edge
+          lastInvokeTime = time;
+          timerId = setTimeout(timerExpired, delay);
+          if (leading) invoke(time, true);
+          return promise;
+        }
+        
+        if (wait !== undefined) {
+          // maxWait reached while calls keep coming in
+          clearTimeout(timerId);
+          timerId = setTimeout(timerExpired, delay);
+          invoke(time, true);
+          return promise;
+        }
+      }
+      
+      if (timerId === undefined) {
+        timerId = setTimeout(timerExpired, delay);
+      }
+      
+      return promise;
+    }
+    
+    // Calls still waiting resolve with undefined
+    debounced.cancel = function() {
+      clearTimeout(timerId);
+      lastInvokeTime = 0;
+      lastArgs = lastThis = lastCallTime = timerId = undefined;
+      waiting.resolve(undefined);
+    };
+    
+    debounced.flush = function() {
+      if (timerId !== undefined) {
+        clearTimeout(timerId);
+        trailingEdge(Date.now(), true);
       }
+      return result;
+    };
+    
+    debounced.pending = function() {
+      return timerId !== undefined;
     };
+    
+    return debounced;
   }
   
-  function throttle(fn, delay) {
-    guard("throttle", { fn, delay }, {
+  function throttle(fn, delay, options = {}) {
+    guard("throttle", { fn, delay, options }, {
       fn: "function",
-      delay: "number"
+      delay: "number",
+      options: "object?"
+    });
+    
+    const { leading = true, trailing = true, frame = false } = options;
+    guard("throttle", { leading, trailing, frame }, {
+      leading: "boolean",
+      trailing: "boolean",
+      frame: "boolean"
     });
     
-    let lastTime = 0;
+    // Without requestAnimationFrame (e.g. Node) frame mode falls back to delay
+    if (!frame || typeof requestAnimationFrame !== "function") {
+      return debounce(fn, delay, { leading, trailing, maxWait: delay });
+    }
     
-    return function(...args) {
-      const now = Date.now();
+    let frameId;
+    let lastArgs;
+    let lastThis;
+    let result;
+    let latest;
+    const waiting = createWaitQueue();
+    
+    // Same error handling as debounce
+    function invoke(sync) {
+      const args = lastArgs;
+      const context = lastThis;
+      
+      lastArgs = lastThis = undefined;
+      
+      try {
+        result = fn.apply(context, args);
+      } catch (err) {
+        waiting.reject(err);
+        if (!sync) return;
+        
+        latest.catch(noop);
+        throw err;
+      }
+      
+      waiting.resolve(result);
+    }
+    
+    function frameExpired() {
+      frameId = undefined;
+      
+      if (trailing && lastArgs) {
+        invoke();
+        // Keep the window open so the next call can't fire twice in one frame
+        frameId = requestAnimationFrame(frameExpired);
+      } else {
+        lastArgs = lastThis = undefined;
+        waiting.resolve(result);
+      }
+    }
+    
+    function throttled(...args) {
+      lastArgs = args;
+      lastThis = this;
+      
+      const promise = waiting.add();
+      if (latest) latest.catch(noop);
+      latest = promise;
+      
+      if (frameId === undefined) {
+        frameId = requestAnimationFrame(frameExpired);
+        if (leading) invoke(true);
+      }
+      
+      return promise;
+    }
+    
+    throttled.cancel = function() {
+      if (frameId !== undefined) cancelAnimationFrame(frameId);
+      lastArgs = lastThis = frameId = undefined;
+      waiting.resolve(undefined);
+    };
+    
+    throttled.flush = function() {
+      if (frameId !== undefined) {
+        cancelAnimationFrame(frameId);
+        frameId = undefined;
+        
+        if (trailing && lastArgs) invoke(true);
+        else waiting.resolve(result);
+      }
+      return result;
+    };
+    
+    throttled.pending = function() {
+      return frameId !== undefined;
+    };
+    
+    return throttled;
+  }
+  
+  function rateLimit(fn, options) {
+    guard("rateLimit", { fn, options }, { fn: "function", options: "object" });
+    
+    const {
+      limit,
+      interval,
+      algorithm = "token-bucket",
+      maxQueue = Infinity,
+      dropPolicy = "reject"
+    } = options;
+    
+    guard("rateLimit", { limit, interval, algorithm, maxQueue, dropPolicy }, {
+      limit: "number",
+      interval: "number",
+      algorithm: "string",
+      maxQueue: "number",
+      dropPolicy: "string"
+    });
+    
+    if (!Number.isInteger(limit) || limit < 1)
+      throw new RangeError("Primux/rateLimit(fn, options): limit should be a positive integer");
+    
+    if (!Number.isFinite(interval) || interval <= 0)
+      throw new RangeError("Primux/rateLimit(fn, options): interval should be a positive finite number");
+    
+    if (maxQueue !== Infinity && (!Number.isInteger(maxQueue) || maxQueue < 0))
+      throw new RangeError("Primux/rateLimit(fn, options): maxQueue should be a non-negative integer");
+    
+    if (!["token-bucket", "sliding-window"].includes(algorithm))
+      throw new RangeError('Primux/rateLimit(fn, options): algorithm must be "token-bucket" or "sliding-window"');
+    
+    if (!["reject", "drop-oldest"].includes(dropPolicy))
+      throw new RangeError('Primux/rateLimit(fn, options): dropPolicy must be "reject" or "drop-oldest"');
+    
+    const queue = [];
+    const starts = [];
+    let tokens = limit;
+    let refilledAt = Date.now();
+    let timerId;
+    
+    // Claims a slot and returns 0, or returns how many ms until one frees up
+    function take(now) {
+      if (algorithm === "sliding-window") {
+        while (starts.length && starts[0] <= now - interval) starts.shift();
+        if (starts.length >= limit) return starts[0] + interval - now;
+        
+        starts.push(now);
+        return 0;
+      }
+      
+      tokens = Math.min(limit, tokens + (now - refilledAt) * limit / interval);
+      refilledAt = now;
+      if (tokens < 1) return (1 - tokens) * interval / limit;
+      
+      tokens--;
+      return 0;
+    }
+    
+    function drain() {
+      timerId = undefined;
+      
+      while (queue.length) {
+        const wait = take(Date.now());
+        
+        if (wait > 0) {
+          timerId = setTimeout(drain, Math.ceil(wait));
+          return;
+        }
+        
+        const { context, args, resolve, reject } = queue.shift();
+        new Promise(run => run(fn.apply(context, args))).then(resolve, reject);
+      }
+    }
+    
+    function limited(...args) {
+      // A free slot runs the call straight away, so maxQueue only limits calls that wait
+      if (queue.length === 0 && take(Date.now()) === 0)
+        return new Promise(run => run(fn.apply(this, args)));
       
-      if (now - lastTime >= delay) {
-        lastTime = now;
-        fn.apply(this, args);
+      if (queue.length >= maxQueue) {
+        if (dropPolicy === "reject" || maxQueue === 0)
+          return Promise.reject(new RateLimitError("Primux/rateLimit: queue is full"));
+        
+        rejectQuietly(queue.shift(), new RateLimitError("Primux/rateLimit: dropped from a full queue"));
       }
+      
+      const call = { context: this, args };
+      call.promise = new Promise((resolve, reject) => {
+        call.resolve = resolve;
+        call.reject = reject;
+      });
+      
+      queue.push(call);
+      if (timerId === undefined) drain();
+      
+      return call.promise;
+    }
+    
+    limited.queued = function() {
+      return queue.length;
     };
+    
+    // Like a dropped call, a cleared one rejects quietly: only a caller awaiting it sees the error
+    limited.clear = function() {
+      clearTimeout(timerId);
+      timerId = undefined;
+      queue.splice(0).forEach(call => rejectQuietly(call, new RateLimitError("Primux/rateLimit: queue was cleared")));
+    };
+    
+    return limited;
   }
   
   /* ---------- Memoization ---------- */
   
-  function memoize(fn, resolver) {
-    guard("memoize", { fn, resolver }, {
+  function memoize(fn, options) {
+    guard("memoize", { fn, options }, {
       fn: "function",
-      resolver: "function?"
+      options: "function|object?"
     });
     
+    const {
+      resolver,
+      maxSize = Infinity,
+      ttl = Infinity,
+      identity = false
+    } = typeof options === "function" ? { resolver: options } : options || {};
+    
+    guard("memoize", { resolver, maxSize, ttl, identity }, {
+      resolver: "function?",
+      maxSize: "number",
+      ttl: "number",
+      identity: "boolean"
+    });
+    
+    if (maxSize !== Infinity && (!Number.isInteger(maxSize) || maxSize < 1))
+      throw new RangeError("Primux/memoize(fn, options): maxSize should be a positive integer");
+    
+    if (!(ttl > 0))
+      throw new RangeError("Primux/memoize(fn, options): ttl should be a positive number");
+    
     const cache = new Map();
+    const ids = new WeakMap();
+    let nextId = 0;
+    
+    // Functions are always keyed by reference, since closures can share their source text.
+    // With identity, objects are too instead of by shape
+    const byReference = arg => typeof arg === "function" || (identity && arg !== null && typeof arg === "object");
+    
+    function argKey(arg) {
+      if (byReference(arg)) {
+        if (!ids.has(arg)) ids.set(arg, ++nextId);
+        return "ref:" + ids.get(arg);
+      }
+      return stableHash(arg);
+    }
+    
+    // Digests can collide and closures nested in objects hash by source, so an entry
+    // only counts as a hit once its stored arguments compare equal
+    function sameArgs(a, b) {
+      return a.length === b.length && a.every((v, i) => byReference(v) ? v === b[i] : deepEqual(v, b[i]));
+    }
+    
+    function find(args) {
+      const key = resolver ? resolver(...args) : args.map(argKey).join("|");
+      const entry = cache.get(key);
+      const hit = entry !== undefined && (resolver !== undefined || sameArgs(entry.args, args));
+      
+      return { key, entry: hit ? entry : undefined };
+    }
+    
+    // Entries are kept least recently used first, so expired ones gather at the front.
+    // One used since it was stored may wait until the entries ahead of it expire too
+    function evictExpired(now) {
+      for (const [key, entry] of cache) {
+        if (entry.expires > now) break;
+        cache.delete(key);
+      }
+    }
+    
+    function memoized(...args) {
+      const { key, entry: cached } = find(args);
+      const now = Date.now();
+      
+      // Re-inserted either way to mark the key as most recently used
+      cache.delete(key);
+      
+      if (cached && cached.expires > now) {
+        cache.set(key, cached);
+        return cached.value;
+      }
+      
+      if (ttl !== Infinity) evictExpired(now);
+      
+      const value = fn.apply(this, args);
+      const entry = { args: resolver ? undefined : args, value, expires: now + ttl };
+      
+      cache.set(key, entry);
+      if (cache.size > maxSize) cache.delete(cache.keys().next().value);
+      
+      // Share in-flight promises, but don't keep rejections around
+      if (value && typeof value.then === "function") {
+        value.then(null, () => {
+          if (cache.get(key) === entry) cache.delete(key);
+        });
+      }
+      
+      return value;
+    }
     
-    return function(...args) {
-      const key = resolver ?
-        resolver(...args) :
-        JSON.stringify(args);
+    memoized.cache = {
+      clear() {
+        cache.clear();
+      },
       
-      if (cache.has(key)) return cache.get(key);
+      delete(...args) {
+        const { key, entry } = find(args);
+        return entry !== undefined && cache.delete(key);
+      },
       
-      const result = fn.apply(this, args);
-      cache.set(key, result);
-      return result;
+      has(...args) {
+        const { entry } = find(args);
+        return entry !== undefined && entry.expires > Date.now();
+      },
+      
+      get size() {
+        return cache.size;
+      }
     };
+    
+    return memoized;
   }
   
   /* ---------- Retry ---------- */
   
-  function retry(fn, times) {
-    guard("retry", { fn, times }, {
+  function retry(fn, policy) {
+    guard("retry", { fn, policy }, {
       fn: "function",
-      times: "number"
+      policy: "number|object"
     });
-    if (times < 0) throw new RangeError("Primux/retry(fn, times): times should be a non-negative number");
+    
+    // Synchronous, so there is nothing to wait on: backoff settings are ignored
+    const p = resolveRetryPolicy("retry(fn, policy)", policy);
     let attempts = 0;
     
-    while (attempts < times) {
+    while (attempts < p.attempts) {
+      throwIfAborted(p.signal);
+      
       try {
         return fn();
       } catch (err) {
         attempts++;
-        if (attempts >= times) throw err;
+        if (attempts >= p.attempts || !p.shouldRetry(err, attempts)) throw err;
+        if (p.onRetry) p.onRetry({ error: err, attempt: attempts, delay: 0 });
       }
     }
   }
   
-  async function retryAsync(fn, times) {
-    guard("retryAsync", { fn, times }, {
+  async function retryAsync(fn, policy) {
+    guard("retryAsync", { fn, policy }, {
       fn: "function",
-      times: "number"
+      policy: "number|object"
     });
-    if (times < 0) throw new RangeError("Primux/retryAsync(fn, times): times should be a non-negative number");
+    
+    const p = resolveRetryPolicy("retryAsync(fn, policy)", policy);
     let attempts = 0;
+    let wait = 0;
     
-    while (attempts < times) {
+    while (attempts < p.attempts) {
+      throwIfAborted(p.signal);
+      
       try {
         return await fn();
       } catch (err) {
         attempts++;
-        if (attempts >= times) throw err;
+        if (attempts >= p.attempts || err instanceof CircuitOpenError || !p.shouldRetry(err, attempts)) throw err;
+        
+        wait = retryDelay(p, attempts, wait);
+        if (p.onRetry) p.onRetry({ error: err, attempt: attempts, delay: wait });
+        if (wait > 0) await p.clock.sleep(wait, p.signal);
       }
     }
   }
@@ -1256,23 +3230,57 @@ function guardNegativeNumber(length, fn) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
   
-  function timeout(fn, ms) {
-    guard("timeout", { fn, ms }, {
+  function timeout(fn, ms, options = {}) {
+    guard("timeout", { fn, ms, options }, {
       fn: "function",
-      ms: "number"
+      ms: "number",
+      options: "object?"
     });
     
-    return (...args) =>
-      Promise.race([
-        Promise.resolve(fn(...args)),
-        new Promise((_, reject) =>
-          setTimeout(() => reject(new Error(`timeout after ${ms}ms`)), ms)
-        )
-      ]);
+    const { signal, passSignal = false } = options;
+    guard("timeout", { signal, passSignal }, { signal: "object?", passSignal: "boolean" });
+    
+    // With passSignal, fn receives the combined AbortSignal as an extra last argument
+    return (...args) => new Promise((resolve, reject) => {
+      const controller = new AbortController();
+      let timerId;
+      
+      const onAbort = () => {
+        controller.abort(abortError(signal));
+        done();
+        reject(abortError(signal));
+      };
+      
+      function done() {
+        clearTimeout(timerId);
+        if (signal) signal.removeEventListener("abort", onAbort);
+      }
+      
+      if (signal && signal.aborted) return reject(abortError(signal));
+      if (signal) signal.addEventListener("abort", onAbort, { once: true });
+      
+      timerId = setTimeout(() => {
+        const err = new TimeoutError(`timeout after ${ms}ms`);
+        controller.abort(err);
+        done();
+        reject(err);
+      }, ms);
+      
+      Promise.resolve()
+        .then(() => passSignal ? fn(...args, controller.signal) : fn(...args))
+        .then(value => {
+          done();
+          resolve(value);
+        }, err => {
+          done();
+          reject(err);
+        });
+    });
   }
   
   /* ---------- Composition ---------- */
   
+  // Each step gets the previous result as one value; wrap a step in spread() to spread an array
   function pipe(...fns) {
     if (fns.length === 0)
       throw new Error("pipe(): parameter should not be empty");
@@ -1281,11 +3289,10 @@ function guardNegativeNumber(length, fn) {
       guard("pipe", { fn }, { fn: "function" })
     );
     
+    const [head, ...rest] = fns;
+    
     return (...args) =>
-      fns.reduce((acc, fn) =>
-        Array.isArray(acc) ? fn(...acc) : fn(acc),
-        args
-      );
+      rest.reduce((acc, fn) => fn(acc), head(...args));
   }
   
   function compose(...fns) {
@@ -1296,13 +3303,48 @@ function guardNegativeNumber(length, fn) {
       guard("compose", { fn }, { fn: "function" })
     );
     
-    const reversed = [...fns].reverse();
+    return pipe(...[...fns].reverse());
+  }
+  
+  function pipeAsync(...fns) {
+    if (fns.length === 0)
+      throw new Error("pipeAsync(): parameter should not be empty");
+    
+    fns.forEach(fn =>
+      guard("pipeAsync", { fn }, { fn: "function" })
+    );
+    
+    const [head, ...rest] = fns;
     
-    return (...args) =>
-      reversed.reduce((acc, fn) =>
-        Array.isArray(acc) ? fn(...acc) : fn(acc),
-        args
-      );
+    return async (...args) => {
+      let acc = await head(...args);
+      
+      for (const fn of rest) {
+        acc = await fn(acc);
+      }
+      
+      return acc;
+    };
+  }
+  
+  function composeAsync(...fns) {
+    if (fns.length === 0)
+      throw new Error("composeAsync(): parameter should not be empty");
+    
+    fns.forEach(fn =>
+      guard("composeAsync", { fn }, { fn: "function" })
+    );
+    
+    return pipeAsync(...[...fns].reverse());
+  }
+  
+  function spread(fn) {
+    guard("spread", { fn }, { fn: "function" });
+    
+    return function(args) {
+      guard("spread", { args }, { args: "array" });
+      return fn.apply(this, args);
+    };
   }
   
   /* ---------- Execution Control ---------- */
@@ -1353,95 +3395,734 @@ function guardNegativeNumber(length, fn) {
       result = await fn(result);
     }
     
-    return result;
+    return result;
+  }
+  
+  async function parallel(fns, options = {}) {
+    guard("parallel", { fns, options }, { fns: "array", options: "object?" });
+    
+    const { concurrency = Infinity, settled = false } = options;
+    guard("parallel", { concurrency, settled }, { concurrency: "number", settled: "boolean" });
+    guardLimit(concurrency, "parallel(fns, options?)");
+    
+    fns.forEach(fn => guard("parallel", { fn }, { fn: "function" }));
+    
+    return runPool(fns.length, concurrency, i => fns[i](), settled);
+  }
+  
+  async function mapLimit(items, limit, fn, options = {}) {
+    guard("mapLimit", { items, limit, fn, options }, {
+      items: "array",
+      limit: "number",
+      fn: "function",
+      options: "object?"
+    });
+    
+    const { settled = false } = options;
+    guard("mapLimit", { settled }, { settled: "boolean" });
+    guardLimit(limit, "mapLimit(items, limit, fn, options?)");
+    
+    return runPool(items.length, limit, i => fn(items[i], i, items), settled);
+  }
+  
+  /* ---------- Safe Execution ---------- */
+  
+  const Result = Object.freeze({
+    ok(value) {
+      return { ok: true, value };
+    },
+    
+    err(error) {
+      return { ok: false, error };
+    },
+    
+    map(result, fn) {
+      guard("Result.map", { result, fn }, { result: "object", fn: "function" });
+      return result.ok ? Result.ok(fn(result.value)) : result;
+    },
+    
+    unwrapOr(result, defaultValue) {
+      guard("Result.unwrapOr", { result }, { result: "object" });
+      return result.ok ? result.value : defaultValue;
+    },
+    
+    match(result, handlers) {
+      guard("Result.match", { result, handlers }, { result: "object", handlers: "object" });
+      guard("Result.match", { ok: handlers.ok, err: handlers.err }, { ok: "function", err: "function" });
+      return result.ok ? handlers.ok(result.value) : handlers.err(result.error);
+    }
+  });
+  
+  function tryCatch(fn, fallback) {
+    guard("tryCatch", { fn, fallback }, { fn: "function", fallback: "function?" });
+    
+    // Sync calls give a Result, thenables give a Promise of one
+    function attempt(run, onError) {
+      let value;
+      
+      try {
+        value = run();
+      } catch (err) {
+        return onError(err);
+      }
+      
+      if (value && typeof value.then === "function") {
+        return Promise.resolve(value).then(Result.ok, onError);
+      }
+      
+      return Result.ok(value);
+    }
+    
+    return function(...args) {
+      const recover = err => typeof fallback === "function" ?
+        attempt(() => fallback(err, ...args), Result.err) :
+        Result.err(err);
+      
+      return attempt(() => fn.apply(this, args), recover);
+    };
+  }
+  
+  function lazy(fn) {
+    guard("lazy", { fn }, { fn: "function" });
+    
+    return function(...args) {
+      return fn(...args);
+    };
+  }
+  
+  const tap = (fn = console.log) => value => {
+    guard("tap", { fn }, { fn: "function" });
+    if (typeof fn === "function") fn(value);
+    return value;
+  };
+  
+  const asyncTap = (fn = console.log) => async value => {
+    guard("asyncTap", { fn }, { fn: "function" });
+    
+    if (typeof fn === "function") await fn(value);
+    return value;
+  };
+  
+  async function retryUntil(fn, condition, policy = {}) {
+    guard("retryUntil", { fn, condition, policy }, {
+      fn: "function",
+      condition: "function",
+      policy: "object?"
+    });
+    
+    const p = resolveRetryPolicy(
+      "retryUntil(fn, condition, policy)",
+      { ...policy, attempts: policy.attempts ?? policy.maxAttempts },
+      { attempts: 5, delay: 500 }
+    );
+    
+    let attempt = 0;
+    let wait = 0;
+    let result;
+    let error;
+    let failed = false;
+    
+    while (attempt < p.attempts) {
+      throwIfAborted(p.signal);
+      attempt++;
+      failed = false;
+      
+      // Thrown errors are only retried when the policy opts in with shouldRetry
+      try {
+        result = await fn();
+      } catch (err) {
+        if (!policy.shouldRetry || err instanceof CircuitOpenError || !p.shouldRetry(err, attempt)) throw err;
+        error = err;
+        failed = true;
+      }
+      
+      if (!failed && condition(result)) return result;
+      if (attempt >= p.attempts) break;
+      
+      wait = retryDelay(p, attempt, wait);
+      if (p.onRetry) p.onRetry(failed ? { error, attempt, delay: wait } : { result, attempt, delay: wait });
+      if (wait > 0) await p.clock.sleep(wait, p.signal);
+    }
+    
+    if (failed) throw error;
+    
+    throw new Error(
+      `retryUntil: condition not met after ${p.attempts} attempts`
+    );
+  }
+  
+  /* ---------- Circuit Breaker ---------- */
+  
+  function circuitBreaker(fn, options = {}) {
+    guard("circuitBreaker", { fn, options }, { fn: "function", options: "object?" });
+    
+    const {
+      failureThreshold = 5,
+      rollingWindow = 60000,
+      resetTimeout = 30000,
+      isFailure = () => true
+    } = options;
+    
+    guard("circuitBreaker", { failureThreshold, rollingWindow, resetTimeout, isFailure }, {
+      failureThreshold: "number",
+      rollingWindow: "number",
+      resetTimeout: "number",
+      isFailure: "function"
+    });
+    
+    if (!Number.isInteger(failureThreshold) || failureThreshold < 1)
+      throw new RangeError("Primux/circuitBreaker(fn, options): failureThreshold should be a positive integer");
+    
+    if (!(rollingWindow > 0) || !(resetTimeout >= 0))
+      throw new RangeError("Primux/circuitBreaker(fn, options): rollingWindow and resetTimeout should be non-negative numbers");
+    
+    const hasFallback = "fallback" in options;
+    const emitter = createEmitter({ events: ["state", "open", "half-open", "closed"] });
+    
+    let state = "closed";
+    let failures = [];
+    let openedAt = 0;
+    let trialRunning = false;
+    
+    function transition(next) {
+      if (state === next) return;
+      
+      const previous = state;
+      state = next;
+      
+      emitter.emit("state", next, previous);
+      emitter.emit(next);
+    }
+    
+    // An open circuit becomes half-open lazily, once resetTimeout has passed
+    function currentState() {
+      if (state === "open" && Date.now() - openedAt >= resetTimeout) transition("half-open");
+      return state;
+    }
+    
+    function trip() {
+      openedAt = Date.now();
+      failures = [];
+      transition("open");
+    }
+    
+    function recordFailure() {
+      const now = Date.now();
+      failures = failures.filter(t => now - t < rollingWindow);
+      failures.push(now);
+      
+      if (failures.length >= failureThreshold) trip();
+    }
+    
+    function fail(err, args) {
+      if (!hasFallback) throw err;
+      return typeof options.fallback === "function" ? options.fallback(err, ...args) : options.fallback;
+    }
+    
+    async function breaker(...args) {
+      const current = currentState();
+      
+      if (current === "open" || (current === "half-open" && trialRunning)) {
+        return fail(new CircuitOpenError("Primux/circuitBreaker: circuit is open"), args);
+      }
+      
+      const trial = current === "half-open";
+      if (trial) trialRunning = true;
+      
+      try {
+        const result = await fn.apply(this, args);
+        if (trial) {
+          failures = [];
+          transition("closed");
+        }
+        return result;
+      } catch (err) {
+        if (!isFailure(err)) throw err;
+        
+        if (trial) trip();
+        else recordFailure();
+        
+        return fail(err, args);
+      } finally {
+        if (trial) trialRunning = false;
+      }
+    }
+    
+    breaker.state = function() {
+      return currentState();
+    };
+    
+    breaker.reset = function() {
+      failures = [];
+      trialRunning = false;
+      transition("closed");
+    };
+    
+    breaker.on = emitter.on;
+    breaker.once = emitter.once;
+    breaker.off = emitter.off;
+    
+    return breaker;
+  }
+  
+  // __________________________________
+  // * Primux - Event emitter utilities
+  // __________________________________
+  
+  function createEmitter(options = {}) {
+    guard("createEmitter", { options }, { options: "object?" });
+    
+    const {
+      events,
+      onError = (err, event) => console.error(`Primux/emitter: listener for "${event}" threw`, err)
+    } = options;
+    
+    guard("createEmitter", { events, onError }, { events: "array?", onError: "function" });
+    
+    // Replaced on every change, so a running emit keeps its own snapshot
+    let listeners = [];
+    
+    // "*" matches everything, "user.*" matches any event under the "user." namespace
+    function matches(pattern, event) {
+      if (pattern === "*" || pattern === event) return true;
+      return pattern.endsWith(".*") && event.startsWith(pattern.slice(0, -1));
+    }
+    
+    function checkPattern(pattern, fn) {
+      guard(`emitter.${fn}`, { event: pattern }, { event: "string" });
+      
+      if (events && !events.some(e => matches(pattern, e)))
+        throw new TypeError(`Primux/emitter.${fn}: unknown event "${pattern}"`);
+    }
+    
+    function checkEvent(event, fn) {
+      guard(`emitter.${fn}`, { event }, { event: "string" });
+      
+      if (event.includes("*"))
+        throw new TypeError(`Primux/emitter.${fn}: cannot emit a wildcard event "${event}"`);
+      
+      if (events && !events.includes(event))
+        throw new TypeError(`Primux/emitter.${fn}: unknown event "${event}"`);
+    }
+    
+    function on(event, listener, opts = {}) {
+      checkPattern(event, "on");
+      guard("emitter.on", { listener, opts }, { listener: "function", opts: "object?" });
+      
+      const { once = false, signal } = opts;
+      guard("emitter.on", { once, signal }, { once: "boolean", signal: "object?" });
+      
+      const entry = { event, listener, once };
+      
+      entry.dispose = () => {
+        listeners = listeners.filter(e => e !== entry);
+        if (signal) signal.removeEventListener("abort", entry.dispose);
+      };
+      
+      if (signal && signal.aborted) return entry.dispose;
+      if (signal) signal.addEventListener("abort", entry.dispose, { once: true });
+      
+      listeners = [...listeners, entry];
+      return entry.dispose;
+    }
+    
+    function once(event, listener, opts = {}) {
+      return on(event, listener, { ...opts, once: true });
+    }
+    
+    function off(event, listener) {
+      guard("emitter.off", { event, listener }, { event: "string", listener: "function?" });
+      
+      listeners
+        .filter(e => e.event === event && (!listener || e.listener === listener))
+        .forEach(e => e.dispose());
+    }
+    
+    // Wildcard listeners get the event name as their first argument
+    function dispatch(event, args) {
+      const matched = listeners.filter(e => matches(e.event, event));
+      
+      const pending = matched.map(entry => {
+        if (entry.once) entry.dispose();
+        
+        try {
+          const callArgs = entry.event === event ? args : [event, ...args];
+          const result = entry.listener(...callArgs);
+          
+          if (result && typeof result.then === "function") {
+            return Promise.resolve(result).catch(err => onError(err, event));
+          }
+        } catch (err) {
+          onError(err, event);
+        }
+      });
+      
+      return { matched: matched.length > 0, pending };
+    }
+    
+    function emit(event, ...args) {
+      checkEvent(event, "emit");
+      return dispatch(event, args).matched;
+    }
+    
+    async function emitAsync(event, ...args) {
+      checkEvent(event, "emitAsync");
+      
+      const { matched, pending } = dispatch(event, args);
+      await Promise.all(pending);
+      
+      return matched;
+    }
+    
+    function listenerCount(event) {
+      guard("emitter.listenerCount", { event }, { event: "string?" });
+      
+      if (event === undefined) return listeners.length;
+      return listeners.filter(e => matches(e.event, event)).length;
+    }
+    
+    function clear() {
+      listeners.forEach(e => e.dispose());
+    }
+    
+    return Object.freeze({
+      on,
+      once,
+      off,
+      emit,
+      emitAsync,
+      listenerCount,
+      clear
+    });
+  }
+  
+  // __________________________________
+  // * Primux - Lock utility functions
+  // __________________________________
+  
+  function semaphore(permits) {
+    guard("semaphore", { permits }, { permits: "number" });
+    
+    if (!Number.isInteger(permits) || permits < 1)
+      throw new RangeError("Primux/semaphore(permits): permits should be a positive integer");
+    
+    // Releasers of the permits currently held, oldest first. release() goes through one,
+    // so a hold freed both ways is only freed once
+    const holders = [];
+    const waiters = [];
+    
+    function release() {
+      if (holders.length === 0)
+        throw new Error("Primux/semaphore: release() called without a matching acquire()");
+      
+      holders[0]();
+    }
+    
+    function acquire(options = {}) {
+      guard("semaphore.acquire", { options }, { options: "object?" });
+      
+      const { timeout, signal } = options;
+      guard("semaphore.acquire", { timeout, signal }, { timeout: "number?", signal: "object?" });
+      
+      return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) return reject(abortError(signal));
+        
+        let released = false;
+        const releaser = () => {
+          if (released) return;
+          released = true;
+          holders.splice(holders.indexOf(releaser), 1);
+          
+          // Hand the permit straight to the next waiter so late arrivals can't jump the queue
+          const next = waiters.shift();
+          if (next) next.grant();
+        };
+        
+        if (holders.length < permits && waiters.length === 0) {
+          holders.push(releaser);
+          return resolve(releaser);
+        }
+        
+        let timerId;
+        
+        const cleanup = () => {
+          clearTimeout(timerId);
+          if (signal) signal.removeEventListener("abort", onAbort);
+        };
+        
+        const waiter = {
+          grant() {
+            cleanup();
+            holders.push(releaser);
+            resolve(releaser);
+          }
+        };
+        
+        const cancel = err => {
+          const i = waiters.indexOf(waiter);
+          if (i !== -1) waiters.splice(i, 1);
+          cleanup();
+          reject(err);
+        };
+        
+        const onAbort = () => cancel(abortError(signal));
+        
+        if (timeout !== undefined) {
+          timerId = setTimeout(() => {
+            cancel(new TimeoutError(`Primux/semaphore: acquire timed out after ${timeout}ms`));
+          }, timeout);
+        }
+        
+        if (signal) signal.addEventListener("abort", onAbort, { once: true });
+        waiters.push(waiter);
+      });
+    }
+    
+    async function runExclusive(fn, options) {
+      guard("semaphore.runExclusive", { fn }, { fn: "function" });
+      
+      const releaser = await acquire(options);
+      
+      try {
+        return await fn();
+      } finally {
+        releaser();
+      }
+    }
+    
+    return Object.freeze({
+      acquire,
+      release,
+      runExclusive,
+      
+      available() {
+        return permits - holders.length;
+      },
+      
+      pending() {
+        return waiters.length;
+      }
+    });
   }
   
-  async function parallel(fns) {
-    guard("parallel", { fns }, { fns: "array" });
+  function mutex() {
+    const lock = semaphore(1);
     
-    return Promise.all(
-      fns.map(fn => {
-        guard("parallel", { fn }, { fn: "function" });
-        return fn();
-      })
-    );
+    return Object.freeze({
+      acquire: lock.acquire,
+      release: lock.release,
+      runExclusive: lock.runExclusive,
+      pending: lock.pending,
+      
+      isLocked() {
+        return lock.available() === 0;
+      }
+    });
   }
   
-  /* ---------- Safe Execution ---------- */
-  
-  function tryCatch(fn, fallback) {
-    guard("tryCatch", { fn, fallback }, { fn: "function", fallback: "function?" });
+  function keyedLock() {
+    const locks = new Map();
     
-    return function(...args) {
+    function lockFor(key) {
+      if (!locks.has(key)) locks.set(key, mutex());
+      return locks.get(key);
+    }
+    
+    // Drop idle locks so one-off keys don't pile up
+    function prune(key) {
+      const lock = locks.get(key);
+      if (lock && !lock.isLocked() && lock.pending() === 0) locks.delete(key);
+    }
+    
+    async function acquire(key, options) {
+      const lock = lockFor(key);
+      let releaser;
+      
       try {
-        const result = fn(...args);
-        
-        if (result instanceof Promise) {
-          return result
-            .then((res) => res)
-            .catch((err) => err);
-        }
-        return result;
+        releaser = await lock.acquire(options);
       } catch (err) {
-        return err;
+        prune(key);
+        throw err;
+      }
+      
+      let released = false;
+      return () => {
+        if (released) return;
+        released = true;
+        releaser();
+        prune(key);
+      };
+    }
+    
+    function release(key) {
+      const lock = locks.get(key);
+      if (!lock)
+        throw new Error("Primux/keyedLock: release() called for a key that is not locked");
+      
+      lock.release();
+      prune(key);
+    }
+    
+    async function runExclusive(key, fn, options) {
+      guard("keyedLock.runExclusive", { fn }, { fn: "function" });
+      
+      const releaser = await acquire(key, options);
+      
+      try {
+        return await fn();
       } finally {
-        if (typeof fallback === "function") fallback();
+        releaser();
       }
-    };
-  }
-  
-  function lazy(fn) {
-    guard("lazy", { fn }, { fn: "function" });
+    }
     
-    return function(...args) {
-      return fn(...args);
-    };
+    return Object.freeze({
+      acquire,
+      release,
+      runExclusive,
+      
+      isLocked(key) {
+        return locks.has(key) && locks.get(key).isLocked();
+      },
+      
+      size() {
+        return locks.size;
+      }
+    });
   }
   
-  const tap = (fn = console.log) => value => {
-    guard("tap", { fn }, { fn: "function" });
-    if (typeof fn === "function") fn(value);
-    return value;
-  };
+  // __________________________________
+  // * Primux - Task queue utility functions
+  // __________________________________
   
-  const asyncTap = (fn = console.log) => async value => {
-    guard("asyncTap", { fn }, { fn: "function" });
+  function createQueue(options = {}) {
+    guard("createQueue", { options }, { options: "object?" });
     
-    if (typeof fn === "function") await fn(value);
-    return value;
-  };
-  
-  async function retryUntil(fn, condition, { maxAttempts = 5, delay = 500 } = {}) {
-    guard("retryUntil", { fn, condition }, {
-      fn: "function",
-      condition: "function"
+    const { concurrency = 1, timeout: taskTimeout, autoStart = true } = options;
+    guard("createQueue", { concurrency, taskTimeout, autoStart }, {
+      concurrency: "number",
+      taskTimeout: "number?",
+      autoStart: "boolean"
     });
-    if (!Number.isFinite(maxAttempts) || maxAttempts < 0)
-      throw new RangeError(
-        "Primux/retryUntil(fn, condition, options): maxAttempts should be a finite non-negative number"
-      );
+    guardLimit(concurrency, "createQueue(options?)");
     
-    if (!Number.isFinite(delay) || delay < 0)
-      throw new RangeError(
-        "Primux/retryUntil(fn, condition, options): delay should be a finite non-negative number"
-      );
+    const emitter = createEmitter({ events: ["progress", "completed", "failed", "empty", "idle"] });
     
-    let attempt = 0;
-    let result;
+    // Sorted by priority (highest first), FIFO within the same priority
+    const tasks = [];
+    let running = 0;
+    let completed = 0;
+    let failed = 0;
+    let paused = !autoStart;
+    const emptyWaiters = createWaitQueue();
+    const idleWaiters = createWaitQueue();
     
-    while (attempt < maxAttempts) {
-      attempt++;
-      result = await fn();
+    function stats() {
+      return { completed, failed, pending: running, queued: tasks.length };
+    }
+    
+    function emptied() {
+      emptyWaiters.resolve();
+      emitter.emit("empty");
+    }
+    
+    function checkIdle() {
+      if (tasks.length === 0 && running === 0) {
+        idleWaiters.resolve();
+        emitter.emit("idle");
+      }
+    }
+    
+    function next() {
+      while (!paused && running < concurrency && tasks.length) {
+        const task = tasks.shift();
+        running++;
+        if (tasks.length === 0) emptied();
+        
+        const run = task.timeout === undefined ? task.fn : timeout(task.fn, task.timeout, { passSignal: true });
+        
+        new Promise(resolve => resolve(run()))
+          .then(value => {
+            completed++;
+            task.resolve(value);
+            emitter.emit("completed", value);
+          }, err => {
+            failed++;
+            task.reject(err);
+            emitter.emit("failed", err);
+          })
+          .then(() => {
+            running--;
+            emitter.emit("progress", stats());
+            next();
+            checkIdle();
+          });
+      }
+    }
+    
+    function add(fn, taskOptions = {}) {
+      guard("queue.add", { fn, taskOptions }, { fn: "function", taskOptions: "object?" });
+      
+      const { priority = 0, timeout: ms = taskTimeout } = taskOptions;
+      guard("queue.add", { priority, ms }, { priority: "number", ms: "number?" });
+      
+      const task = { fn, priority, timeout: ms };
+      task.promise = new Promise((resolve, reject) => {
+        task.resolve = resolve;
+        task.reject = reject;
+      });
+      
+      const index = tasks.findIndex(t => t.priority < priority);
       
-      if (condition(result)) return result;
+      if (index === -1) tasks.push(task);
+      else tasks.splice(index, 0, task);
       
-      if (delay)
-        await new Promise(res => setTimeout(res, delay));
+      next();
+      return task.promise;
     }
     
-    throw new Error(
-      `retryUntil: condition not met after ${maxAttempts} attempts`
-    );
+    // Tasks are often added without awaiting, so cleared ones reject quietly: only a
+    // caller awaiting add() sees the error
+    function clear() {
+      const cleared = tasks.splice(0);
+      
+      cleared.forEach(task => {
+        rejectQuietly(task, new Error("Primux/queue: task was cleared before it started"));
+      });
+      
+      if (cleared.length) emptied();
+      checkIdle();
+    }
+    
+    return Object.freeze({
+      add,
+      clear,
+      
+      pause() {
+        paused = true;
+      },
+      
+      resume() {
+        paused = false;
+        next();
+      },
+      
+      isPaused() {
+        return paused;
+      },
+      
+      onEmpty() {
+        return tasks.length === 0 ? Promise.resolve() : emptyWaiters.add();
+      },
+      
+      onIdle() {
+        return tasks.length === 0 && running === 0 ? Promise.resolve() : idleWaiters.add();
+      },
+      
+      stats,
+      on: emitter.on,
+      once: emitter.once,
+      off: emitter.off
+    });
   }
   
   // __________________________________
@@ -1668,14 +4349,16 @@ function guardNegativeNumber(length, fn) {
     return n + suffix;
   }
   
-  function randomIntArray(min, max, length, precision = 0) {
-    guard("randomIntArray", { min, max, length, precision }, {
+  function randomIntArray(min, max, length, precision = 0, options) {
+    guard("randomIntArray", { min, max, length }, {
       min: "number",
       max: "number",
-      length: "number",
-      precision: "number?"
+      length: "number"
     });
     
+    let rng;
+    ({ precision, rng } = randomOptions("randomIntArray", precision, options));
+    
     if (!Number.isInteger(length) || length < 0)
       throw new Error("randomIntArray(): length must be non-negative integer");
     if (!Number.isInteger(precision) || precision < 0)
@@ -1686,7 +4369,7 @@ function guardNegativeNumber(length, fn) {
     const array = [];
     
     for (let i = 0; i < length; i++) {
-      const rand = Math.random() * (max - min) + min;
+      const rand = rng() * (max - min) + min;
       array.push(
         precision > 0 ?
         Number(rand.toFixed(precision)) :
@@ -1697,6 +4380,40 @@ function guardNegativeNumber(length, fn) {
     return array;
   }
   
+  function createRng(seed) {
+    guard("createRng", { seed }, { seed: "number|string" });
+    
+    let state = 2166136261;
+    
+    // String seeds are folded to 32 bits with FNV-1a
+    if (typeof seed === "string") {
+      for (let i = 0; i < seed.length; i++) {
+        state = Math.imul(state ^ seed.charCodeAt(i), 16777619) >>> 0;
+      }
+    } else {
+      state = Math.floor(seed) >>> 0;
+    }
+    
+    // mulberry32
+    return function rng() {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+  
+  function cryptoRandom() {
+    if (typeof crypto === "undefined" || typeof crypto.getRandomValues !== "function") {
+      throw new Error("Primux/cryptoRandom(): crypto.getRandomValues is not available in this environment!");
+    }
+    
+    // 53 random bits, the full precision of a double
+    const [hi, lo] = crypto.getRandomValues(new Uint32Array(2));
+    return ((hi >>> 5) * 67108864 + (lo >>> 6)) / 9007199254740992;
+  }
+  
   function isPositive(n) {
     guard("isPositive", { n }, { n: "number" });
     return n > 0;
@@ -1707,48 +4424,49 @@ function guardNegativeNumber(length, fn) {
     return n < 0;
   }
   
-  function randomUniqueIntArray(min, max, length, precision = 0) {
-    guard("randomUniqueArray", { min, max, length, precision }, {
+  function randomUniqueIntArray(min, max, length, precision = 0, options) {
+    guard("randomUniqueArray", { min, max, length }, {
       min: "number",
       max: "number",
-      length: "number",
-      precision: "number?"
+      length: "number"
     });
     
+    let rng;
+    ({ precision, rng } = randomOptions("randomUniqueArray", precision, options));
+    
     if (!Number.isInteger(length) || length < 0)
       throw new TypeError("length must be a non-negative integer");
     
-    if (!Number.isInteger(precision) || precision < 0)
-      throw new Error("randomUniqueArray(): precision must be non-negative integer");
-    
-    if (min > max)[min, max] = [max, min];
-    
-    const factor = 10 ** precision;
-    
-    const scaledMin = Math.ceil(min * factor);
-    const scaledMax = Math.floor(max * factor);
-    
-    const rangeSize = scaledMax - scaledMin + 1;
+    const { size, indices, toValue } = uniqueIntSource("randomUniqueArray", min, max, precision, rng);
     
-    if (length > rangeSize)
+    if (length > size)
       throw new Error("randomUniqueArray(): length exceeds unique range");
     
-    const range = [];
-    for (let i = scaledMin; i <= scaledMax; i++) {
-      range.push(i);
-    }
-    
     const result = [];
     
     while (result.length < length) {
-      const idx = Math.floor(Math.random() * range.length);
-      const value = range.splice(idx, 1)[0];
-      result.push(Number((value / factor).toFixed(precision)));
+      result.push(toValue(indices.next().value));
     }
     
     return result;
   }
   
+  function randomUniqueIntGenerator(min, max, precision = 0, options) {
+    guard("randomUniqueIntGenerator", { min, max }, {
+      min: "number",
+      max: "number"
+    });
+    
+    let rng;
+    ({ precision, rng } = randomOptions("randomUniqueIntGenerator", precision, options));
+    
+    const { indices, toValue } = uniqueIntSource("randomUniqueIntGenerator", min, max, precision, rng);
+    
+    return (function*() {
+      for (const i of indices) yield toValue(i);
+    })();
+  }
+  
   // _________________________________
   // * Primux - Boolean Utilities
   // _________________________________
@@ -2049,6 +4767,115 @@ function guardNegativeNumber(length, fn) {
     )(...arguments);
   }
   
+  // __________________________________
+  // * Primux - Reactive utility functions
+  // __________________________________
+  
+  function signal() {
+    return createType(
+      "any",
+      "signal(): invalid value",
+      () => true
+    )(...arguments);
+  }
+  
+  function computed(fn) {
+    guard("computed", { fn }, { fn: "function" });
+    
+    const node = createNode();
+    let value;
+    let dirty = true;
+    let disposed = false;
+    
+    const observer = {
+      sources: new Set(),
+      invalidate() {
+        if (dirty) return;
+        dirty = true;
+        invalidateNode(node);
+      }
+    };
+    
+    function peek() {
+      if (dirty && !disposed) {
+        value = runObserved(observer, fn);
+        dirty = false;
+      }
+      return value;
+    }
+    
+    return Object.freeze({
+      get() {
+        trackNode(node);
+        return peek();
+      },
+      
+      peek,
+      
+      subscribe(listener) {
+        guard("computed.subscribe", { listener }, { listener: "function" });
+        return subscribeNode(node, peek, listener);
+      },
+      
+      // Sources hold their observers, so a computed over a long-lived signal stays
+      // reachable until disposed. Afterwards it keeps its last value
+      dispose() {
+        disposed = true;
+        unlinkObserver(observer);
+      },
+      
+      type() {
+        return "computed";
+      }
+    });
+  }
+  
+  function effect(fn) {
+    guard("effect", { fn }, { fn: "function" });
+    
+    let cleanup;
+    let disposed = false;
+    
+    // fn may return a cleanup function, run before each re-run and on dispose
+    const job = {
+      run() {
+        if (typeof cleanup === "function") cleanup();
+        cleanup = runObserved(observer, fn);
+      }
+    };
+    
+    const observer = {
+      sources: new Set(),
+      invalidate() {
+        if (!disposed) reactiveState.queue.add(job);
+      }
+    };
+    
+    job.run();
+    
+    return function dispose() {
+      if (disposed) return;
+      disposed = true;
+      
+      reactiveState.queue.delete(job);
+      unlinkObserver(observer);
+      if (typeof cleanup === "function") cleanup();
+    };
+  }
+  
+  function batch(fn) {
+    guard("batch", { fn }, { fn: "function" });
+    
+    reactiveState.batchDepth++;
+    
+    try {
+      return fn();
+    } finally {
+      reactiveState.batchDepth--;
+      flushReactive();
+    }
+  }
+  
   // __________________________________
   // * Primux - regex utlities 
   // __________________________________
@@ -2888,6 +5715,263 @@ function guardNegativeNumber(length, fn) {
     } while (!condition(result));
   }
   
+  /* ---------- Lazy Iterables ---------- */
+  
+  // Every helper stays sync for sync iterables and becomes async once any input is async
+  const iter = Object.freeze({
+    map(source, fn) {
+      guardIterable("iter.map", source);
+      guard("iter.map", { fn }, { fn: "function" });
+      
+      if (isAsyncIterable(source)) {
+        return (async function*() {
+          let i = 0;
+          for await (const v of source) yield await fn(v, i++);
+        })();
+      }
+      
+      return (function*() {
+        let i = 0;
+        for (const v of source) yield fn(v, i++);
+      })();
+    },
+    
+    filter(source, fn) {
+      guardIterable("iter.filter", source);
+      guard("iter.filter", { fn }, { fn: "function" });
+      
+      if (isAsyncIterable(source)) {
+        return (async function*() {
+          let i = 0;
+          for await (const v of source) {
+            if (await fn(v, i++)) yield v;
+          }
+        })();
+      }
+      
+      return (function*() {
+        let i = 0;
+        for (const v of source) {
+          if (fn(v, i++)) yield v;
+        }
+      })();
+    },
+    
+    take(source, n) {
+      guardIterable("iter.take", source);
+      guard("iter.take", { n }, { n: "number" });
+      guardNegativeNumber(n, "iter.take(source, n)");
+      
+      if (isAsyncIterable(source)) {
+        return (async function*() {
+          if (n <= 0) return;
+          let i = 0;
+          for await (const v of source) {
+            yield v;
+            if (++i >= n) return;
+          }
+        })();
+      }
+      
+      return (function*() {
+        if (n <= 0) return;
+        let i = 0;
+        for (const v of source) {
+          yield v;
+          if (++i >= n) return;
+        }
+      })();
+    },
+    
+    chunk(source, size) {
+      guardIterable("iter.chunk", source);
+      guard("iter.chunk", { size }, { size: "number" });
+      
+      if (!Number.isInteger(size) || size <= 0) {
+        throw new RangeError("Primux/iter.chunk: size must be a positive integer");
+      }
+      
+      if (isAsyncIterable(source)) {
+        return (async function*() {
+          let batch = [];
+          for await (const v of source) {
+            batch.push(v);
+            if (batch.length === size) {
+              yield batch;
+              batch = [];
+            }
+          }
+          if (batch.length) yield batch;
+        })();
+      }
+      
+      return (function*() {
+        let batch = [];
+        for (const v of source) {
+          batch.push(v);
+          if (batch.length === size) {
+            yield batch;
+            batch = [];
+          }
+        }
+        if (batch.length) yield batch;
+      })();
+    },
+    
+    zip(...sources) {
+      sources.forEach(s => guardIterable("iter.zip", s));
+      
+      if (sources.some(isAsyncIterable)) {
+        return (async function*() {
+          const its = sources.map(s => isAsyncIterable(s) ? s[Symbol.asyncIterator]() : s[Symbol.iterator]());
+          
+          try {
+            while (true) {
+              const results = await Promise.all(its.map(it => it.next()));
+              if (results.some(r => r.done)) return;
+              yield results.map(r => r.value);
+            }
+          } finally {
+            await Promise.all(its.map(it => it.return && it.return()));
+          }
+        })();
+      }
+      
+      return (function*() {
+        const its = sources.map(s => s[Symbol.iterator]());
+        
+        try {
+          while (true) {
+            const results = its.map(it => it.next());
+            if (results.some(r => r.done)) return;
+            yield results.map(r => r.value);
+          }
+        } finally {
+          its.forEach(it => it.return && it.return());
+        }
+      })();
+    },
+    
+    unique(source, by = identity) {
+      guardIterable("iter.unique", source);
+      guard("iter.unique", { by }, { by: "function" });
+      
+      if (isAsyncIterable(source)) {
+        return (async function*() {
+          const seen = createLookup("iter.unique", { by });
+          
+          for await (const v of source) {
+            if (seen.addNew(v)) yield v;
+          }
+        })();
+      }
+      
+      return (function*() {
+        const seen = createLookup("iter.unique", { by });
+        
+        for (const v of source) {
+          if (seen.addNew(v)) yield v;
+        }
+      })();
+    },
+    
+    // Reads up to `size` items ahead of the consumer; sync sources have nothing to prefetch
+    buffer(source, size) {
+      guardIterable("iter.buffer", source);
+      guard("iter.buffer", { size }, { size: "number" });
+      
+      if (!Number.isInteger(size) || size <= 0) {
+        throw new RangeError("Primux/iter.buffer: size must be a positive integer");
+      }
+      
+      if (!isAsyncIterable(source)) return iter.map(source, identity);
+      
+      return (async function*() {
+        const it = source[Symbol.asyncIterator]();
+        const ahead = [];
+        
+        const pull = () => {
+          const p = it.next();
+          p.catch(noop);
+          ahead.push(p);
+        };
+        
+        try {
+          for (let i = 0; i < size; i++) pull();
+          
+          while (ahead.length) {
+            const r = await ahead.shift();
+            if (r.done) return;
+            pull();
+            yield r.value;
+          }
+        } finally {
+          if (it.return) await it.return();
+        }
+      })();
+    },
+    
+    // Yields values in arrival order; sync sources are interleaved round-robin
+    merge(...sources) {
+      sources.forEach(s => guardIterable("iter.merge", s));
+      
+      if (!sources.some(isAsyncIterable)) {
+        return (function*() {
+          let its = sources.map(s => s[Symbol.iterator]());
+          
+          while (its.length) {
+            const live = [];
+            for (const it of its) {
+              const r = it.next();
+              if (r.done) continue;
+              live.push(it);
+              yield r.value;
+            }
+            its = live;
+          }
+        })();
+      }
+      
+      return (async function*() {
+        const its = sources.map(s => isAsyncIterable(s) ? s[Symbol.asyncIterator]() : s[Symbol.iterator]());
+        const pending = new Map();
+        const pull = i => pending.set(i, Promise.resolve(its[i].next()).then(r => ({ r, i })));
+        
+        its.forEach((_, i) => pull(i));
+        
+        try {
+          while (pending.size) {
+            const { r, i } = await Promise.race(pending.values());
+            
+            if (r.done) {
+              pending.delete(i);
+              continue;
+            }
+            
+            pull(i);
+            yield r.value;
+          }
+        } finally {
+          for (const i of pending.keys()) {
+            if (its[i].return) its[i].return();
+          }
+        }
+      })();
+    },
+    
+    collect(source) {
+      guardIterable("iter.collect", source);
+      
+      if (!isAsyncIterable(source)) return Array.from(source);
+      
+      return (async () => {
+        const result = [];
+        for await (const v of source) result.push(v);
+        return result;
+      })();
+    }
+  });
+  
   // __________________________________
   // * Primux - Device / Web API Utility functions 
   // __________________________________
@@ -3196,23 +6280,33 @@ function guardNegativeNumber(length, fn) {
     identity,
     debounce,
     throttle,
+    rateLimit,
+    RateLimitError,
     memoize,
     retry,
     retryAsync,
     time,
     sleep,
     timeout,
+    TimeoutError,
     pipe,
     compose,
+    pipeAsync,
+    composeAsync,
+    spread,
     before,
     after,
     series,
     parallel,
+    mapLimit,
     tryCatch,
+    Result,
     lazy,
     tap,
     asyncTap,
     retryUntil,
+    circuitBreaker,
+    CircuitOpenError,
     
     // 2. HTML5 Canvas Utilities
     ensureCanvas,
@@ -3254,6 +6348,7 @@ function guardNegativeNumber(length, fn) {
     // 4. Loops and Iteration
     times,
     loopUntil,
+    iter,
     
     // 5. Device and Media Utilities
     isTouchDevice,
@@ -3361,6 +6456,9 @@ function guardNegativeNumber(length, fn) {
     toOrdinal,
     randomIntArray,
     randomUniqueIntArray,
+    randomUniqueIntGenerator,
+    createRng,
+    cryptoRandom,
     isPositive,
     isNegative,
     
@@ -3406,6 +6504,8 @@ function guardNegativeNumber(length, fn) {
     // 13. General Utilities
     isEmpty,
     isNotEmpty,
+    isEqual,
+    hash,
     
     // 14. Array Utilities
     first,
@@ -3421,8 +6521,11 @@ function guardNegativeNumber(length, fn) {
     duplicates,
     count,
     containsAll,
+    isSubset,
     intersection,
     union,
+    difference,
+    symmetricDifference,
     remove,
     swap,
     clear,
@@ -3432,6 +6535,7 @@ function guardNegativeNumber(length, fn) {
     flattenTo,
     sortAsc,
     sortDesc,
+    sortBy,
     shuffle,
     sample,
     compact,
@@ -3453,6 +6557,10 @@ function guardNegativeNumber(length, fn) {
     filterObj,
     deepFreeze,
     keyBy,
+    groupBy,
+    countBy,
+    indexBy,
+    partition,
     invert,
     
     // 16. String Utilities
@@ -3470,7 +6578,40 @@ function guardNegativeNumber(length, fn) {
     reverseString,
     padCenter,
     removeAccent,
-    isPalindrome
+    isPalindrome,
+    
+    // 17. Event Utilities
+    createEmitter,
+    
+    // 18. Lock Utilities
+    mutex,
+    semaphore,
+    keyedLock,
+    
+    // 19. Task Queue Utilities
+    createQueue,
+    
+    // 20. Reactive Utilities
+    signal,
+    computed,
+    effect,
+    batch,
+    
+    // 21. Statistics Utilities
+    variance,
+    std,
+    zScores,
+    mode,
+    quantile,
+    percentile,
+    iqr,
+    histogram,
+    weightedMean,
+    covariance,
+    correlation,
+    createRunningStats,
+    createEma,
+    createQuantileSketch
   });
   
   export {
@@ -3480,23 +6621,33 @@ function guardNegativeNumber(length, fn) {
     identity,
     debounce,
     throttle,
+    rateLimit,
+    RateLimitError,
     memoize,
     retry,
     retryAsync,
     time,
     sleep,
     timeout,
+    TimeoutError,
     pipe,
     compose,
+    pipeAsync,
+    composeAsync,
+    spread,
     before,
     after,
     series,
     parallel,
+    mapLimit,
     tryCatch,
+    Result,
     lazy,
     tap,
     asyncTap,
     retryUntil,
+    circuitBreaker,
+    CircuitOpenError,
     
     // 2. HTML5 Canvas Utilities
     ensureCanvas,
@@ -3538,6 +6689,7 @@ function guardNegativeNumber(length, fn) {
     // 4. Loops and Iteration
     times,
     loopUntil,
+    iter,
     
     // 5. Device and Media Utilities
     isTouchDevice,
@@ -3645,6 +6797,9 @@ function guardNegativeNumber(length, fn) {
     toOrdinal,
     randomIntArray,
     randomUniqueIntArray,
+    randomUniqueIntGenerator,
+    createRng,
+    cryptoRandom,
     isPositive,
     isNegative,
     
@@ -3690,6 +6845,8 @@ function guardNegativeNumber(length, fn) {
     // 13. General Utilities
     isEmpty,
     isNotEmpty,
+    isEqual,
+    hash,
     
     // 14. Array Utilities
     first,
@@ -3705,8 +6862,11 @@ function guardNegativeNumber(length, fn) {
     duplicates,
     count,
     containsAll,
+    isSubset,
     intersection,
     union,
+    difference,
+    symmetricDifference,
     remove,
     swap,
     clear,
@@ -3716,6 +6876,7 @@ function guardNegativeNumber(length, fn) {
     flattenTo,
     sortAsc,
     sortDesc,
+    sortBy,
     shuffle,
     sample,
     compact,
@@ -3737,6 +6898,10 @@ function guardNegativeNumber(length, fn) {
     filterObj,
     deepFreeze,
     keyBy,
+    groupBy,
+    countBy,
+    indexBy,
+    partition,
     invert,
     
     // 16. String Utilities
@@ -3754,7 +6919,40 @@ function guardNegativeNumber(length, fn) {
     reverseString,
     padCenter,
     removeAccent,
-    isPalindrome
+    isPalindrome,
+    
+    // 17. Event Utilities
+    createEmitter,
+    
+    // 18. Lock Utilities
+    mutex,
+    semaphore,
+    keyedLock,
+    
+    // 19. Task Queue Utilities
+    createQueue,
+    
+    // 20. Reactive Utilities
+    signal,
+    computed,
+    effect,
+    batch,
+    
+    // 21. Statistics Utilities
+    variance,
+    std,
+    zScores,
+    mode,
+    quantile,
+    percentile,
+    iqr,
+    histogram,
+    weightedMean,
+    covariance,
+    correlation,
+    createRunningStats,
+    createEma,
+    createQuantileSketch
   }
 
 
@@ -1 +1 @@
-function createType(typeName,message,validator){let value;function validate(v){if(!validator(v))throw new TypeError(message)}return function(initialValue){return arguments.length>0&&(validate(initialValue),value=initialValue),{get:()=>value,set(newValue){validate(newValue),value=newValue},clear(){value=void 0},type:()=>typeName}}}function resolveStorage(type,fn){if("local"===type)return localStorage;if("session"===type)return sessionStorage;throw new Error(`Primux/${fn}: type must be "local" or "session". Default is "local".`)}function typeOf(v){return null===v?"null":Number.isNaN(v)?"NaN":Array.isArray(v)?"array":"undefined"!=typeof window&&"undefined"!=typeof Element&&v instanceof Element?"dom":v instanceof RegExp?"RegExp":typeof v}function guard(fn,values,schema){const params=Object.keys(schema).join(", ");for(const key in schema){const rule=schema[key],value=values[key],optional=rule.endsWith("?"),expected=optional?rule.slice(0,-1):rule;if(void 0===value){if(optional)continue;throw new TypeError(`Primux/${fn}(${params}): parameter "${key}" is required`)}if("any"===expected)continue;const actual=typeOf(value);if(!expected.split("|").includes(actual))throw new TypeError(`Primux/${fn}(${params}): parameter "${key}" expected ${expected}, received ${actual}`)}}function ensureDOM(fnName){if("undefined"==typeof document)throw new Error(`Primux/${fnName}(): DOM is not available in this environment!`)}function stableHash(value){if(null===value)return"null";if("object"!=typeof value)return typeof value+":"+String(value);if(Array.isArray(value))return"array:["+value.map(stableHash).join(",")+"]";return"object:{"+Object.keys(value).sort().map(k=>`${k}:${stableHash(value[k])}`).join(",")+"}"}function decimalPlaces(num){const match=String(num).match(/(?:\.(\d+))?(?:[eE]([+-]?\d+))?$/);if(!match)return 0;const decimals=match[1]?match[1].length:0,exponent=match[2]?parseInt(match[2],10):0;return Math.max(0,decimals-exponent)}function normalizeToArray(input,fnName){if(null==input)throw new TypeError(`Primux/${fnName}: expected input, got ${input}`);if(input instanceof HTMLElement)return[input];if(NodeList.prototype.isPrototypeOf(input)||HTMLCollection.prototype.isPrototypeOf(input)){if(0===input.length)throw new RangeError(`Primux/${fnName}: element collection must not be empty`);return Array.from(input)}if(Array.isArray(input)){if(0===input.length)throw new RangeError(`Primux/${fnName}: array must not be empty`);return input.flat(1/0)}if("string"==typeof input){const trimmed=input.trim();if(""===trimmed)throw new RangeError(`Primux/${fnName}: string must not be empty`);return[trimmed]}throw new TypeError(`Primux/${fnName}: expected HTMLElement, NodeList, HTMLCollection, array, or string`)}function checkChar(c,fn){if("string"!=typeof c||1!==c.length)throw new TypeError(`Primux/${fn}(str, char): expected a single-character string`)}function getDuration(duration){return"number"==typeof duration?duration:300}function deepEqual(a,b){return stableHash(a)===stableHash(b)}function guardNegativeNumber(length,fn){if(length<0)throw new RangeError(`Primux/${fn}: value must not be negative`)}const _p=function(){function shuffle(array){guard("shuffle",{array:array},{array:"array"});const result=[...array];for(let i=result.length-1;i>0;i--){const j=Math.floor(Math.random()*(i+1));[result[i],result[j]]=[result[j],result[i]]}return result}function isEmpty(collection){return guard("isEmpty",{collection:collection},{collection:"array|object"}),Array.isArray(collection)?0===collection.length:0===Object.keys(collection).length}function deepClone(value,seen=new WeakMap){if(null===value||"object"!=typeof value)return value;if(seen.has(value))return seen.get(value);if(value instanceof Date)return new Date(value);if(value instanceof RegExp)return new RegExp(value.source,value.flags);if(value instanceof Map){const result=new Map;return seen.set(value,result),value.forEach((v,k)=>{result.set(deepClone(k,seen),deepClone(v,seen))}),result}if(value instanceof Set){const result=new Set;return seen.set(value,result),value.forEach(v=>result.add(deepClone(v,seen))),result}if(Array.isArray(value)){const result=[];return seen.set(value,result),value.forEach((v,i)=>result[i]=deepClone(v,seen)),result}const result=Object.create(Object.getPrototypeOf(value));seen.set(value,result);for(const key of Reflect.ownKeys(value)){const desc=Object.getOwnPropertyDescriptor(value,key);"value"in desc&&(desc.value=deepClone(desc.value,seen)),Object.defineProperty(result,key,desc)}return result}function has(obj,key){return guard("has",{obj:obj,key:key},{obj:"object",key:"string|symbol"}),Object.prototype.hasOwnProperty.call(obj,key)}function deepMerge(target,source,seen=new WeakMap){if(guard("deepMerge",{target:target,source:source},{target:"object?",source:"object"}),null===source||"object"!=typeof source)return source;if(null===target||"object"!=typeof target)return deepClone(source);let innerMap=seen.get(target);if(innerMap&&innerMap.has(source))return innerMap.get(source);const result=Array.isArray(source)?[]:Object.create(Object.getPrototypeOf(source));innerMap||(innerMap=new WeakMap,seen.set(target,innerMap)),innerMap.set(source,result);for(const key of Reflect.ownKeys(target))result[key]=target[key];for(const key of Reflect.ownKeys(source)){const sVal=source[key],tVal=result[key];result[key]=sVal&&"object"==typeof sVal?deepMerge(tVal,sVal,seen):sVal}return result}function gcd(a,b){for(guard("gcd",{a:a,b:b},{a:"number",b:"number"}),a=Math.abs(a),b=Math.abs(b);0!==b;)[a,b]=[b,a%b];return a}function isNaN(value){return guard("isNaN",{value:value},{value:"any"}),"number"==typeof value&&Number.isNaN(value)}function isObject(value){return guard("isObject",{value:value},{value:"any"}),null!==value&&"object"==typeof value&&Object.getPrototypeOf(value)===Object.prototype}function createElement(tagName,options={}){guard("createElement",{tagName:tagName,options:options},{tagName:"string",options:"object?"});const el=document.createElement(tagName);if(options.class)if(Array.isArray(options.class))el.classList.add(...options.class);else{if("string"!=typeof options.class)throw new TypeError("createElement: 'class' must be string or array of strings");el.classList.add(options.class)}if(options.attrs){if(!isObject(options.attrs))throw new TypeError("createElement: 'attrs' must be an object");Object.entries(options.attrs).forEach(([key,value])=>el.setAttribute(key,value))}if(options.text&&(el.textContent=String(options.text)),options.html&&(el.innerHTML=String(options.html)),options.children){(Array.isArray(options.children)?options.children:[options.children]).forEach(child=>{guard("createElement/children",{child:child},{child:"dom"}),el.appendChild(child)})}return el}function trigger(elements,events,options={}){if(ensureDOM("trigger"),null===options||"object"!=typeof options)throw new TypeError("trigger(): options must be an object");const elArr=normalizeToArray(elements,"trigger(elements, events, options?)"),eventArr=normalizeToArray(events,"trigger(elements, events, options?)");for(const el of elArr){guard("trigger",{el:el},{el:"dom"});for(const eventName of eventArr){guard("trigger",{eventName:eventName},{eventName:"string"});const{detail:detail=null,bubbles:bubbles=!0,cancelable:cancelable=!0}=options;el.dispatchEvent(new CustomEvent(eventName,{detail:detail,bubbles:bubbles,cancelable:cancelable}))}}}function isTouchDevice(){return"ontouchstart"in window||navigator.maxTouchPoints>0||navigator.msMaxTouchPoints>0}function canShare(){return"undefined"!=typeof navigator&&!!navigator.share}function canVibrate(){return"undefined"!=typeof navigator&&"vibrate"in navigator}function canAccessBattery(){return"undefined"!=typeof navigator&&"getBattery"in navigator}function canNotify(){return"undefined"!=typeof window&&"Notification"in window}function canUseBluetooth(){return"undefined"!=typeof navigator&&"bluetooth"in navigator}function ensureCanvas(canvas){return guard("ensureCanvas",{canvas:canvas},{canvas:"dom"}),canvas instanceof HTMLCanvasElement}function withCtx(ctx,fn){let result;guard("withCtx",{ctx:ctx,fn:fn},{ctx:"object",fn:"function"}),ctx.save();try{result=fn()}finally{ctx.restore()}return result}function clearCanvas(ctx,width,height){guard("clearCanvas",{ctx:ctx,width:width,height:height},{ctx:"object",width:"number?",height:"number?"});const w=width??ctx.canvas.width,h=height??ctx.canvas.height;ctx.clearRect(0,0,w,h)}return Object.freeze({once:function once(fn){guard("once",{fn:fn},{fn:"function"});let result,called=!1;return function(...args){return called||(called=!0,result=fn.apply(this,args)),result}},noop:function noop(){},identity:function identity(value){return value},debounce:function debounce(fn,delay,options={}){let timerId;guard("debounce",{fn:fn,delay:delay,options:options},{fn:"function",delay:"number",options:"object?"});let lastCall=0;const{leading:leading=!1,trailing:trailing=!0}=options;return function(...args){const context=this,now=Date.now();leading&&now-lastCall>delay&&(fn.apply(context,args),lastCall=now),clearTimeout(timerId),trailing&&(timerId=setTimeout(()=>{(!leading||now-lastCall>=delay)&&(fn.apply(context,args),lastCall=Date.now())},delay))}},throttle:function throttle(fn,delay){guard("throttle",{fn:fn,delay:delay},{fn:"function",delay:"number"});let lastTime=0;return function(...args){const now=Date.now();now-lastTime>=delay&&(lastTime=now,fn.apply(this,args))}},memoize:function memoize(fn,resolver){guard("memoize",{fn:fn,resolver:resolver},{fn:"function",resolver:"function?"});const cache=new Map;return function(...args){const key=resolver?resolver(...args):JSON.stringify(args);if(cache.has(key))return cache.get(key);const result=fn.apply(this,args);return cache.set(key,result),result}},retry:function retry(fn,times){if(guard("retry",{fn:fn,times:times},{fn:"function",times:"number"}),times<0)throw new RangeError("Primux/retry(fn, times): times should be a non-negative number");let attempts=0;for(;attempts<times;)try{return fn()}catch(err){if(attempts++,attempts>=times)throw err}},retryAsync:async function retryAsync(fn,times){if(guard("retryAsync",{fn:fn,times:times},{fn:"function",times:"number"}),times<0)throw new RangeError("Primux/retryAsync(fn, times): times should be a non-negative number");let attempts=0;for(;attempts<times;)try{return await fn()}catch(err){if(attempts++,attempts>=times)throw err}},time:function time(fn,label){guard("time",{fn:fn,label:label},{fn:"function",label:"string?"});const start=performance.now();fn();const duration=performance.now()-start+"ms";return label?`${label} : ${duration}`:duration},sleep:function sleep(ms){return guard("sleep",{ms:ms},{ms:"number"}),new Promise(resolve=>setTimeout(resolve,ms))},timeout:function timeout(fn,ms){return guard("timeout",{fn:fn,ms:ms},{fn:"function",ms:"number"}),(...args)=>Promise.race([Promise.resolve(fn(...args)),new Promise((_,reject)=>setTimeout(()=>reject(new Error(`timeout after ${ms}ms`)),ms))])},pipe:function pipe(...fns){if(0===fns.length)throw new Error("pipe(): parameter should not be empty");return fns.forEach(fn=>guard("pipe",{fn:fn},{fn:"function"})),(...args)=>fns.reduce((acc,fn)=>Array.isArray(acc)?fn(...acc):fn(acc),args)},compose:function compose(...fns){if(0===fns.length)throw new Error("compose(): parameter should not be empty");fns.forEach(fn=>guard("compose",{fn:fn},{fn:"function"}));const reversed=[...fns].reverse();return(...args)=>reversed.reduce((acc,fn)=>Array.isArray(acc)?fn(...acc):fn(acc),args)},before:function before(fn,times){guard("before",{fn:fn,times:times},{fn:"function",times:"number"});let lastResult,count=0;return function(...args){return count<times&&(lastResult=fn.apply(this,args),count++),lastResult}},after:function after(fn,times){guard("after",{fn:fn,times:times},{fn:"function",times:"number"});let count=0;return function(...args){if(count++,count>=times)return fn.apply(this,args)}},series:async function series(fns,initialValue){guard("series",{fns:fns,initialValue:initialValue},{fns:"array",initialValue:"any?"});let result=initialValue;for(const fn of fns)guard("series",{fn:fn},{fn:"function"}),result=await fn(result);return result},parallel:async function parallel(fns){return guard("parallel",{fns:fns},{fns:"array"}),Promise.all(fns.map(fn=>(guard("parallel",{fn:fn},{fn:"function"}),fn())))},tryCatch:function tryCatch(fn,fallback){return guard("tryCatch",{fn:fn,fallback:fallback},{fn:"function",fallback:"function?"}),function(...args){try{const result=fn(...args);return result instanceof Promise?result.then(res=>res).catch(err=>err):result}catch(err){return err}finally{"function"==typeof fallback&&fallback()}}},lazy:function lazy(fn){return guard("lazy",{fn:fn},{fn:"function"}),function(...args){return fn(...args)}},tap:(fn=console.log)=>value=>(guard("tap",{fn:fn},{fn:"function"}),"function"==typeof fn&&fn(value),value),asyncTap:(fn=console.log)=>async value=>(guard("asyncTap",{fn:fn},{fn:"function"}),"function"==typeof fn&&await fn(value),value),retryUntil:async function retryUntil(fn,condition,{maxAttempts:maxAttempts=5,delay:delay=500}={}){if(guard("retryUntil",{fn:fn,condition:condition},{fn:"function",condition:"function"}),!Number.isFinite(maxAttempts)||maxAttempts<0)throw new RangeError("Primux/retryUntil(fn, condition, options): maxAttempts should be a finite non-negative number");if(!Number.isFinite(delay)||delay<0)throw new RangeError("Primux/retryUntil(fn, condition, options): delay should be a finite non-negative number");let result,attempt=0;for(;attempt<maxAttempts;){if(attempt++,result=await fn(),condition(result))return result;delay&&await new Promise(res=>setTimeout(res,delay))}throw new Error(`retryUntil: condition not met after ${maxAttempts} attempts`)},ensureCanvas:ensureCanvas,getCtx:function getCtx(canvas){if(guard("getCtx",{canvas:canvas},{canvas:"dom"}),!ensureCanvas(canvas))return null;const ctx=canvas.getContext("2d");return ctx||console.warn("getCtx: 2D context not supported"),ctx},fixDPI:function fixDPI(canvas,ctx){if(guard("fixDPI",{canvas:canvas,ctx:ctx},{canvas:"dom",ctx:"object"}),!ctx)return;const dpi=window.devicePixelRatio||1;canvas.width=canvas.clientWidth*dpi,canvas.height=canvas.clientHeight*dpi,ctx.scale(dpi,dpi)},resizeCanvas:function resizeCanvas(canvas,width,height){guard("resizeCanvas",{canvas:canvas,width:width,height:height},{canvas:"dom",width:"number?",height:"number?"});const w=width??canvas.clientWidth,h=height??canvas.clientHeight;return canvas.width=w,canvas.height=h,{width:w,height:h}},withCtx:withCtx,setStyle:function setStyle(ctx,style={}){guard("setStyle",{ctx:ctx,style:style},{ctx:"object",style:"object?"});const{fill:fill,stroke:stroke,lineWidth:lineWidth,font:font,alpha:alpha}=style;fill&&(ctx.fillStyle=fill),stroke&&(ctx.strokeStyle=stroke),lineWidth&&(ctx.lineWidth=lineWidth),font&&(ctx.font=font),void 0!==alpha&&(ctx.globalAlpha=alpha)},drawRect:function drawRect(ctx,{x:x,y:y,w:w,h:h,fill:fill,stroke:stroke,lineWidth:lineWidth=1}){guard("drawRect",{ctx:ctx,x:x,y:y,w:w,h:h,fill:fill,stroke:stroke,lineWidth:lineWidth},{ctx:"object",x:"number",y:"number",w:"number",h:"number",fill:"string?",stroke:"string?",lineWidth:"number?"}),withCtx(ctx,()=>{fill&&ctx.fillRect(x,y,w,h),stroke&&(ctx.lineWidth=lineWidth,ctx.strokeRect(x,y,w,h))})},drawCircle:function drawCircle(ctx,{x:x,y:y,r:r,fill:fill,stroke:stroke,lineWidth:lineWidth=1}){guard("drawCircle",{ctx:ctx,x:x,y:y,r:r,fill:fill,stroke:stroke,lineWidth:lineWidth},{ctx:"object",x:"number",y:"number",r:"number",fill:"string?",stroke:"string?",lineWidth:"number?"}),withCtx(ctx,()=>{ctx.beginPath(),ctx.arc(x,y,r,0,2*Math.PI),fill&&ctx.fill(),stroke&&(ctx.lineWidth=lineWidth,ctx.stroke())})},drawLine:function drawLine(ctx,{x1:x1,y1:y1,x2:x2,y2:y2,stroke:stroke="#000",width:width=1}){guard("drawLine",{ctx:ctx,x1:x1,y1:y1,x2:x2,y2:y2,stroke:stroke,width:width},{ctx:"object",x1:"number",y1:"number",x2:"number",y2:"number",stroke:"string?",width:"number?"}),withCtx(ctx,()=>{ctx.strokeStyle=stroke,ctx.lineWidth=width,ctx.beginPath(),ctx.moveTo(x1,y1),ctx.lineTo(x2,y2),ctx.stroke()})},drawPath:function drawPath(ctx,points,opts={}){if(guard("drawPath",{ctx:ctx,points:points,opts:opts},{ctx:"object",points:"array",opts:"object?"}),!points.length)return;const{stroke:stroke,fill:fill,lineWidth:lineWidth=1,close:close=!1}=opts;withCtx(ctx,()=>{ctx.beginPath(),ctx.moveTo(points[0].x,points[0].y),points.slice(1).forEach(p=>ctx.lineTo(p.x,p.y)),close&&ctx.closePath(),fill&&(ctx.fillStyle=fill,ctx.fill()),stroke&&(ctx.strokeStyle=!0===stroke?"#000":stroke,ctx.lineWidth=lineWidth,ctx.stroke())})},drawText:function drawText(ctx,{text:t,x:x,y:y,size:size=16,font:font="sans-serif",color:color="#000",align:align="left"}){guard("drawText",{ctx:ctx,t:t,x:x,y:y,size:size,font:font,color:color,align:align},{ctx:"object",t:"string",x:"number",y:"number"}),withCtx(ctx,()=>{ctx.fillStyle=color,ctx.textAlign=align,ctx.font=`${size}px ${font}`,ctx.fillText(t,x,y)})},measureText:function measureText(ctx,textValue){return guard("measureText",{ctx:ctx,textValue:textValue},{ctx:"object",textValue:"string"}),ctx.measureText(textValue)?.width??0},getMousePos:function getMousePos(canvas,evt){guard("getMousePos",{canvas:canvas,evt:evt},{canvas:"dom",evt:"object"});const rect=canvas.getBoundingClientRect();return{x:evt.clientX-rect.left,y:evt.clientY-rect.top}},getTouchPos:function getTouchPos(canvas,touch){guard("getTouchPos",{canvas:canvas,touch:touch},{canvas:"dom",touch:"object"});const rect=canvas.getBoundingClientRect();return{x:touch.clientX-rect.left,y:touch.clientY-rect.top}},clearCanvas:clearCanvas,destroyCanvas:function destroyCanvas(canvas){guard("destroyCanvas",{canvas:canvas},{canvas:"dom"});const ctx=canvas.getContext("2d");ctx&&clearCanvas(ctx),canvas.width=0,canvas.height=0},canShare:canShare,share:function share(data){return guard("share",{data:data},{data:"object"}),canShare()?navigator.share(data):Promise.reject("Share API not supported")},canVibrate:canVibrate,vibrate:function vibrate(pattern=200){return guard("vibrate",{pattern:pattern},{pattern:"number"}),!!canVibrate()&&navigator.vibrate(pattern)},canAccessBattery:canAccessBattery,getBatteryInfo:async function getBatteryInfo(){if(!canAccessBattery())return null;const battery=await navigator.getBattery();return{level:Math.round(100*battery.level),charging:battery.charging,chargingTime:battery.chargingTime===1/0?null:Math.round(battery.chargingTime/60),dischargingTime:battery.dischargingTime===1/0?null:Math.round(battery.dischargingTime/60)}},canNotify:canNotify,requestNotificationPermission:function requestNotificationPermission(){return canNotify()?Notification.requestPermission():Promise.resolve("denied")},notify:async function notify(title,options={},swPath=null){if(guard("notify",{title:title,options:options},{title:"string",options:"object?"}),!("Notification"in window))return null;if("granted"!==Notification.permission){if("granted"!==await Notification.requestPermission())return null}if("serviceWorker"in navigator){if(swPath){await navigator.serviceWorker.getRegistration()||await navigator.serviceWorker.register(swPath)}return(await navigator.serviceWorker.ready).showNotification(title,options)}return new Notification(title,options)},canUseBluetooth:canUseBluetooth,requestBluetoothDevice:function requestBluetoothDevice(options){if(guard("requestBluetoothDevice",{options:options},{options:"object"}),!canUseBluetooth())return Promise.reject(new Error("Bluetooth API not supported"));const hasFilters=Array.isArray(options.filters),hasAcceptAll=!0===options.acceptAllDevices;return hasFilters||hasAcceptAll?hasFilters&&hasAcceptAll?Promise.reject(new Error("Cannot use both 'filters' and 'acceptAllDevices'.")):navigator.bluetooth.requestDevice(options):Promise.reject(new Error("Either 'filters' or 'acceptAllDevices: true' is required."))},getNetworkInfo:function getNetworkInfo(){const conn=navigator.connection||navigator.mozConnection||navigator.webkitConnection;return conn?{effectiveType:conn.effectiveType,downlink:conn.downlink,rtt:conn.rtt,saveData:conn.saveData}:null},canUseMediaDevices:function canUseMediaDevices(){return"undefined"!=typeof navigator&&!(!navigator.mediaDevices||!navigator.mediaDevices.getUserMedia)},canGeolocate:function canGeolocate(){return"undefined"!=typeof navigator&&"geolocation"in navigator},queryPermission:function queryPermission(name){return guard("queryPermission",{name:name},{name:"string"}),navigator.permissions?navigator.permissions.query({name:name}):Promise.resolve(null)},isProbablyOnline:function isProbablyOnline(){return navigator.onLine||performance.getEntriesByType("resource").length>0},safeJSONParse:function safeJSONParse(str,fallback=null){if("string"!=typeof str||!str.trim())return fallback;try{return JSON.parse(str)??fallback}catch{return fallback}},times:function times(n,fn){if(guard("times",{n:n,fn:fn},{n:"number",fn:"function"}),n<0)throw new TypeError("times(): n must be a positive number");for(let i=0;i<n;i++)fn(i)},loopUntil:function loopUntil(fn,condition){let result;guard("loopUntil",{fn:fn,condition:condition},{fn:"function",condition:"function"});do{result=fn()}while(!condition(result))},isTouchDevice:isTouchDevice,isTouchPhone:function isTouchPhone(){return isTouchDevice()&&matchMedia("(pointer: coarse)").matches&&matchMedia("(hover: none)").matches},isMouseDevice:function isMouseDevice(){return matchMedia("(pointer: fine)").matches},isHybridDevice:function isHybridDevice(){return isTouchDevice()&&matchMedia("(pointer: fine)").matches},supportsHover:function supportsHover(){return matchMedia("(hover: hover)").matches},supportsCoarsePointer:function supportsCoarsePointer(){return matchMedia("(pointer: coarse)").matches},prefersReducedMotion:function prefersReducedMotion(){return matchMedia("(prefers-reduced-motion: reduce)").matches},prefersDarkMode:function prefersDarkMode(){return matchMedia("(prefers-color-scheme: dark)").matches},prefersLightMode:function prefersLightMode(){return matchMedia("(prefers-color-scheme: light)").matches},setData:function setData(key,data,type="local"){guard("setData",{key:key,data:data,type:type},{key:"string",data:"object|string",type:"string?"});const storage=resolveStorage(type,"setData(key, data, type?)"),isPlainObject=isObject(data);storage.setItem(key,isPlainObject?JSON.stringify(data):data)},getData:function getData(key,type="local"){guard("getData",{key:key,type:type},{key:"string",type:"string?"});const value=resolveStorage(type,"getData(key, type?)").getItem(key);if(null===value)return null;try{return JSON.parse(value)}catch{return value}},removeData:function removeData(key,type="local"){guard("removeData",{key:key,type:type},{key:"string",type:"string?"}),resolveStorage(type,"removeData(key, type?)").removeItem(key)},clearAllData:function clearAllData(type="local"){guard("clearAllData",{type:type},{type:"string?"}),resolveStorage(type,"clearAllData(type?)").clear()},$id:function $id(s){return ensureDOM("$id"),guard("$id",{s:s},{s:"string"}),document.getElementById(s)},$qs:function $qs(s){return ensureDOM("$qs"),guard("$qs",{s:s},{s:"string"}),document.querySelector(s)},$qsa:function $qsa(s){return ensureDOM("$qsa"),guard("$qsa",{s:s},{s:"string"}),document.querySelectorAll(s)},$class:function $class(s){return ensureDOM("$class"),guard("$class",{s:s},{s:"string"}),document.getElementsByClassName(s)||null},$tag:function $tag(s){return ensureDOM("$tag"),guard("$tag",{s:s},{s:"string"}),document.getElementsByTagName(s)||null},$name:function $name(s){return ensureDOM("$name"),guard("$name",{s:s},{s:"string"}),document.getElementsByName(s)||null},siblings:function siblings(el){return ensureDOM("siblings"),guard("siblings",{el:el},{el:"dom"}),el.parentNode?Array.from(el.parentNode.children).filter(child=>child!==el):[]},setHTML:function setHTML(el,html){ensureDOM("setHTML"),guard("setHTML",{el:el,html:html},{el:"dom",html:"string"}),el.innerHTML=html},createElement:createElement,empty:function empty(el){ensureDOM("empty"),guard("empty",{el:el},{el:"dom"}),el.innerHTML=""},wrap:function wrap(target,wrapper){return ensureDOM("wrap"),guard("wrap",{target:target,wrapper:wrapper},{target:"dom",wrapper:"dom"}),target.parentNode&&target.parentNode.insertBefore(wrapper,target),wrapper.appendChild(target),wrapper},unwrap:function unwrap(wrapper){ensureDOM("unwrap"),guard("unwrap",{wrapper:wrapper},{wrapper:"dom"});const parent=wrapper.parentNode;if(!parent)return;Array.from(wrapper.childNodes).forEach(child=>parent.insertBefore(child,wrapper)),wrapper.remove()},addClass:function addClass(el,...classes){ensureDOM("addClass");const elements=el instanceof HTMLElement?[el]:el instanceof NodeList||Array.isArray(el)?Array.from(el):[];if(0===elements.length)throw new TypeError("Primux/addClass: el should be HTMLElement, NodeList or array of HTMLElements");const allClasses=classes.flat(1/0);return allClasses.forEach(c=>guard("addClass",{c:c},{c:"string"})),elements.forEach(element=>element.classList.add(...allClasses)),el},removeClass:function removeClass(el,...classes){ensureDOM("removeClass");const elements=el instanceof HTMLElement?[el]:el instanceof NodeList||Array.isArray(el)?Array.from(el):[];if(0===elements.length)throw new TypeError("Primux/removeClass: el should be HTMLElement, NodeList or array of HTMLElements");const allClasses=classes.flat(1/0);return allClasses.forEach(c=>{if("string"!=typeof c)throw new TypeError("Primux/removeClass: class must be string")}),elements.forEach(element=>element.classList.remove(...allClasses)),el},hasClass:function hasClass(el,...classes){ensureDOM("hasClass");const allClasses=classes.flat(1/0);if(!allClasses.every(c=>"string"==typeof c))throw new TypeError("Primux/hasClass: all classes must be strings");return allClasses.every(c=>el.classList.contains(c))},data:function data(el,key,value){ensureDOM("data"),guard("data",{el:el,key:key},{el:"dom",key:"string",key:"any"});const attrName=`data-${key.replace(/[A-Z]/g,m=>"-"+m.toLowerCase())}`;return void 0===value?el.getAttribute(attrName):null===value?el.removeAttribute(attrName):void el.setAttribute(attrName,value)},on:function on(elements,events,handler,option={}){ensureDOM("on"),guard("on",{handler:handler,option:option},{handler:"function",option:"object?"});const{once:once=!1}=option;guard("on",{once:once},{once:"boolean"});const elArr=normalizeToArray(elements,"on(elements, events, handler, options?)"),eventArr=normalizeToArray(events,"on(elements, events, handler, options?)");for(const el of elArr){guard("on",{el:el},{el:"dom"});for(const event of eventArr)guard("on",{event:event},{event:"string"}),el.addEventListener(event,handler,{once:once})}},off:function off(elements,events,handler){ensureDOM("off"),guard("off",{handler:handler},{handler:"function"});const elArr=normalizeToArray(elements,"off(elements, events, handler)"),eventArr=normalizeToArray(events,"off(elements, events, handler)");for(const el of elArr){guard("off",{el:el},{el:"dom"});for(const event of eventArr)guard("off",{event:event},{event:"string"}),el.removeEventListener(event,handler)}},delegate:function delegate(root,event,selector,handler){ensureDOM("delegate"),guard("delegate",{root:root,event:event,selector:selector,handler:handler},{root:"dom",event:"string",selector:"string",handler:"function"}),root.addEventListener(event,e=>{const target=e.target.closest(selector);target&&root.contains(target)&&handler.call(target,e)})},trigger:trigger,triggerPairs:function triggerPairs(pairs){for(const[el,event]of pairs)trigger(el,event)},css:function css(elements,prop,value){ensureDOM("css");const elArr=normalizeToArray(elements,"css(elements, prop, value)");for(const el of elArr){if(guard("css",{el:el},{el:"dom"}),"string"==typeof prop&&void 0===value)return getComputedStyle(el).getPropertyValue(prop);if("string"!=typeof prop){if(!isObject(prop))throw new TypeError("css(): invalid parameter");for(const key in prop)el.style[key]=prop[key]}else el.style[prop]=value}},getStyle:function getStyle(el,property){return ensureDOM("getStyle"),guard("getStyle",{el:el,property:property},{el:"dom",property:"string"}),getComputedStyle(el).getPropertyValue(property)},hide:function hide(...elements){ensureDOM("hide");const elArr=normalizeToArray(elements.flat(),"hide(elements)");for(const el of elArr)guard("hide",{el:el},{el:"dom"}),"none"!==el.style.display&&(el.dataset._display=getComputedStyle(el).getPropertyValue("display")),el.style.display="none"},show:function show(...elements){ensureDOM("show");const elArr=normalizeToArray(elements.flat(),"show(elements)");for(const el of elArr)guard("show",{el:el},{el:"dom"}),el.style.display=el.dataset._display??"",delete el.dataset._display},toggleDisplay:function toggleDisplay(...elements){ensureDOM("toggleDisplay");const elArr=normalizeToArray(elements.flat(),"toggleDisplay(elements)");for(const el of elArr){guard("toggleDisplay",{el:el},{el:"dom"});"none"===getComputedStyle(el).getPropertyValue("display")?(el.style.display=el.dataset._display??"",delete el.dataset._display):(el.dataset._display=getComputedStyle(el).getPropertyValue("display"),el.style.display="none")}},addAnimation:function addAnimation(...elements){ensureDOM("addAnimation");const className=elements.pop();guard("addAnimation",{className:className},{className:"string"});const elArr=normalizeToArray(elements.flat(),"addAnimation (elements)");for(const el of elArr)guard("addAnimation",{el:el},{el:"dom"}),el.classList.add(className)},removeAnimation:function removeAnimation(...elements){ensureDOM("removeAnimation");const className=elements.pop();guard("removeAnimation",{className:className},{className:"string"});const elArr=normalizeToArray(elements.flat(),"removeAnimation(elements)");for(const el of elArr)guard("removeAnimation",{el:el},{el:"dom"}),el.classList.remove(className)},offset:function offset(el){ensureDOM("offset"),guard("offset",{el:el},{el:"dom"});const rect=el.getBoundingClientRect();return{top:rect.top+window.scrollY,left:rect.left+window.scrollX}},position:function position(el){return ensureDOM("position"),guard("position",{el:el},{el:"dom"}),{top:el.offsetTop,left:el.offsetLeft}},width:function width(el){return ensureDOM("width"),guard("width",{el:el},{el:"dom"}),parseFloat(getComputedStyle(el).width)},height:function height(el){return ensureDOM("height"),guard("height",{el:el},{el:"dom"}),parseFloat(getComputedStyle(el).height)},innerWidth:function innerWidth(el){return ensureDOM("innerWidth"),guard("innerWidth",{el:el},{el:"dom"}),el.clientWidth},innerHeight:function innerHeight(el){return ensureDOM("innerHeight"),guard("innerHeight",{el:el},{el:"dom"}),el.clientHeight},outerWidth:function outerWidth(el,includeMargin=!1){ensureDOM("outerWidth"),guard("outerWidth",{el:el},{el:"dom"});let w=el.offsetWidth;if(includeMargin){const s=getComputedStyle(el);w+=parseFloat(s.marginLeft)+parseFloat(s.marginRight)}return w},outerHeight:function outerHeight(el,includeMargin=!1){ensureDOM("outerHeight"),guard("outerHeight",{el:el},{el:"dom"});let h=el.offsetHeight;if(includeMargin){const s=getComputedStyle(el);h+=parseFloat(s.marginTop)+parseFloat(s.marginBottom)}return h},scrollTop:function scrollTop(el=window){return ensureDOM("scrollTop"),el!==window&&guard("scrollTop",{el:el},{el:"dom"}),el===window?window.scrollY:el.scrollTop},scrollLeft:function scrollLeft(el=window){return ensureDOM("scrollLeft"),el!==window&&guard("scrollLeft",{el:el},{el:"dom"}),el===window?window.scrollX:el.scrollLeft},rect:function rect(el){ensureDOM("rect"),guard("rect",{el:el},{el:"dom"});const r=el.getBoundingClientRect();return{top:r.top,left:r.left,right:r.right,bottom:r.bottom,width:r.width,height:r.height}},isInViewport:function isInViewport(el,options={}){guard("isInViewport",{el:el,options:options},{el:"dom",options:"object?"});const{partial:partial=!0,offset:offset=0}=options,r=el.getBoundingClientRect(),vw=window.innerWidth,vh=window.innerHeight,top=r.top+offset,left=r.left+offset,right=r.right-offset,bottom=r.bottom-offset;return partial?bottom>-.5&&right>-.5&&top<vh+.5&&left<vw+.5:top>=-.5&&left>=-.5&&bottom<=vh+.5&&right<=vw+.5},val:function val(el){return ensureDOM("val"),guard("val",{el:el},{el:"dom"}),"value"in el?el.value:null},setVal:function setVal(elements,value){ensureDOM("setVal");const elArr=normalizeToArray(elements,"setVal(elements, value)");for(const el of elArr){if(guard("setVal",{el:el},{el:"dom"}),!("value"in el))throw new Error("setVal(): element does not support value");el.value=null==value?"":String(value)}},isVisible:function isVisible(el,checkOpacity=!1){ensureDOM("isVisible"),guard("isVisible",{el:el,checkOpacity:checkOpacity},{el:"dom",checkOpacity:"boolean?"});const style=getComputedStyle(el);if("none"===style.display||"hidden"===style.visibility)return!1;if(checkOpacity&&0===parseFloat(style.opacity))return!1;const r=el.getBoundingClientRect();return r.width>0&&r.height>0},isHidden:function isHidden(el,checkOpacity=!1){ensureDOM("isHidden"),guard("isHidden",{el:el,checkOpacity:checkOpacity},{el:"dom",checkOpacity:"boolean?"});const style=getComputedStyle(el);if("none"===style.display||"hidden"===style.visibility)return!0;if(checkOpacity&&0===parseFloat(style.opacity))return!0;const r=el.getBoundingClientRect();return 0===r.width||0===r.height},fadeIn:function fadeIn(el,duration=300){ensureDOM("fadeIn"),guard("fadeIn",{el:el,duration:duration},{el:"dom",duration:"number?"}),duration=getDuration(duration),el.style.opacity=0,el.style.display="","none"===getComputedStyle(el).display&&(el.style.display="block");let start=null;requestAnimationFrame(function animate(ts){start||(start=ts);const progress=Math.min((ts-start)/duration,1);el.style.opacity=progress,progress<1&&requestAnimationFrame(animate)})},fadeOut:function fadeOut(el,duration=300){ensureDOM("fadeOut"),guard("fadeOut",{el:el,duration:duration},{el:"dom",duration:"number?"}),duration=getDuration(duration);const initial=parseFloat(getComputedStyle(el).opacity)||1;let start=null;requestAnimationFrame(function animate(ts){start||(start=ts);const progress=Math.min((ts-start)/duration,1);el.style.opacity=initial*(1-progress),progress<1?requestAnimationFrame(animate):(el.style.display="none",el.style.opacity="")})},slideDown:function slideDown(el,duration=300){ensureDOM("slideDown"),guard("slideDown",{el:el,duration:duration},{el:"dom",duration:"number?"}),duration=getDuration(duration),el.style.display="","none"===getComputedStyle(el).display&&(el.style.display="block");const height=el.scrollHeight;el.style.overflow="hidden",el.style.height="0px";let start=null;requestAnimationFrame(function animate(ts){start||(start=ts);const progress=Math.min((ts-start)/duration,1);el.style.height=height*progress+"px",progress<1?requestAnimationFrame(animate):(el.style.height="",el.style.overflow="")})},slideUp:function slideUp(el,duration=300){ensureDOM("slideUp"),guard("slideUp",{el:el,duration:duration},{el:"dom",duration:"number?"}),duration=getDuration(duration);const height=el.scrollHeight;el.style.height=height+"px",el.style.overflow="hidden";let start=null;requestAnimationFrame(function animate(ts){start||(start=ts);const progress=Math.min((ts-start)/duration,1);el.style.height=height*(1-progress)+"px",progress<1?requestAnimationFrame(animate):(el.style.display="none",el.style.height="",el.style.overflow="")})},copyToClipboard:async function copyToClipboard(text){guard("copyToClipboard",{text:text},{text:"string"});try{if(navigator.clipboard&&window.isSecureContext)return await navigator.clipboard.writeText(text),!0;const textarea=document.createElement("textarea");textarea.value=text,textarea.style.position="fixed",textarea.style.opacity="0",document.body.appendChild(textarea),textarea.focus(),textarea.select();const success=document.execCommand("copy");return document.body.removeChild(textarea),success}catch{return!1}},scrollTo:function scrollTo(target,options={}){ensureDOM("scrollTo");const{behavior:behavior="smooth",offset:offset=0,container:container=window}=options;if(!(container===window||container instanceof Element))throw new TypeError("scrollTo(): container must be window or DOM element");let top=0;if("number"==typeof target)top=target+offset;else{if(!(target instanceof Element))throw new TypeError("scrollTo(): target must be number or DOM element");{guard("scrollTo",{target:target},{target:"dom"});const rect=target.getBoundingClientRect();if(container===window)top=rect.top+window.pageYOffset+offset;else{if(!(container instanceof Element))throw new TypeError("scrollTo(): container must be window or DOM element");top=rect.top-container.getBoundingClientRect().top+container.scrollTop+offset}}}container===window?window.scrollTo({top:top,behavior:behavior}):container.scrollTo({top:top,behavior:behavior})},firstChild:function firstChild(el){return ensureDOM("firstChild"),guard("firstChild",{el:el},{el:"dom"}),el.firstElementChild},lastChild:function lastChild(el){return ensureDOM("lastChild"),guard("lastChild",{el:el},{el:"dom"}),el.lastElementChild},isEmail:function isEmail(str){return guard("isEmail",{str:str},{str:"string"}),/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(str)},isURL:function isURL(str){return guard("isURL",{str:str},{str:"string"}),/^(https?:\/\/)?([\w\-])+\.{1}([a-zA-Z]{2,63})([\/\w\-.?=&]*)*\/?$/.test(str)},isPhone:function isPhone(str){return guard("isPhone",{str:str},{str:"string"}),/^\+?[\d\s\-()]{7,15}$/.test(str)},isHexColor:function isHexColor(str){return guard("isHexColor",{str:str},{str:"string"}),/^#([0-9A-Fa-f]{3}|[0-9A-Fa-f]{6})$/.test(str)},isAlpha:function isAlpha(str){return guard("isAlpha",{str:str},{str:"string"}),/^[A-Za-z]+$/.test(str)},isAlphaNumeric:function isAlphaNumeric(str){return guard("isAlphaNumeric",{str:str},{str:"string"}),/^[A-Za-z0-9]+$/.test(str)},isNumeric:function isNumeric(str){return guard("isNumeric",{str:str},{str:"string"}),/^\d+$/.test(str)},matchAll:function matchAll(str,pattern){return guard("matchAll",{str:str,pattern:pattern},{str:"string",pattern:"RegExp"}),[...str.matchAll(pattern)].map(m=>m[0])},replaceAll:function replaceAll(str,pattern,replacement){guard("replaceAll",{str:str,pattern:pattern,replacement:replacement},{str:"string",pattern:"RegExp|string",replacement:"string"});const regex=pattern instanceof RegExp?new RegExp(pattern.source,"g"):new RegExp(pattern,"g");return str.replace(regex,replacement)},testPattern:function testPattern(str,pattern){return guard("testPattern",{str:str,pattern:pattern},{str:"string",pattern:"RegExp"}),pattern.test(str)},clamp:function clamp(value,min,max){return guard("clamp",{value:value,min:min,max:max},{value:"number",min:"number",max:"number"}),value<min?min:value>max?max:value},safeDivide:function safeDivide(a,b,defaultValue=0){if(guard("safeDivide",{a:a,b:b,defaultValue:defaultValue},{a:"number",b:"number",defaultValue:"number?"}),0===b)return defaultValue;const result=a/b;return isNaN(result)?defaultValue:result},safeAdd:function safeAdd(a,b){guard("safeAdd",{a:a,b:b},{a:"number",b:"number"});const factor=10**Math.max(decimalPlaces(a),decimalPlaces(b));return(Math.round(a*factor)+Math.round(b*factor))/factor},safeSub:function safeSub(a,b){guard("safeSub",{a:a,b:b},{a:"number",b:"number"});const factor=10**Math.max(decimalPlaces(a),decimalPlaces(b));return(Math.round(a*factor)-Math.round(b*factor))/factor},safeMultiply:function safeMultiply(a,b){guard("safeMultiply",{a:a,b:b},{a:"number",b:"number"});const dp=decimalPlaces(a)+decimalPlaces(b);return Math.round(a*b*10**dp)/10**dp},round:function round(value,decimals=0){guard("round",{value:value,decimals:decimals},{value:"number",decimals:"number?"});const factor=Math.pow(10,decimals);return Math.round(value*factor)/factor},random:function random(p1,p2,precision=0){if(Array.isArray(p1)){if(guard("random",{p1:p1},{p1:"array"}),0===p1.length)return;return p1[Math.floor(Math.random()*p1.length)]}guard("random",{p1:p1,p2:p2,precision:precision},{p1:"number",p2:"number",precision:"number?"});let min=p1,max=p2;if(min>max&&([min,max]=[max,min]),precision>0){const rand=Math.random()*(max-min)+min;return Number(rand.toFixed(precision))}return Math.floor(Math.random()*(max-min+1))+min},between:function between(value,min,max,inclusive=!0){return guard("between",{value:value,min:min,max:max,inclusive:inclusive},{value:"number",min:"number",max:"number",inclusive:"boolean?"}),min>max&&([min,max]=[max,min]),inclusive?value>=min&&value<=max:value>min&&value<max},toFixedNumber:function toFixedNumber(value,decimal){if(guard("toFixedNumber",{value:value,decimal:decimal},{value:"number",decimal:"number"}),!Number.isInteger(decimal)||decimal<0)throw new Error("toFixedNumber(): decimal must be non-negative integer");return Number(value.toFixed(decimal))},percent:function percent(value,total,precision=0){if(guard("percent",{value:value,total:total,precision:precision},{value:"number",total:"number",precision:"number?"}),!Number.isInteger(precision)||precision<0)throw new Error("percent(): precision must be non-negative integer");return 0===total?0:Number((value/total*100).toFixed(precision))},almostEqual:function almostEqual(a,b,epsilon=1e-10){if(guard("almostEqual",{a:a,b:b,epsilon:epsilon},{a:"number",b:"number",epsilon:"number?"}),epsilon<0)throw new Error("almostEqual(): epsilon must be non-negative");return Math.abs(a-b)<epsilon},isEven:function isEven(...values){if(0===values.length)throw new Error("isEven(): at least one parameter required");return values.forEach(v=>guard("isEven",{v:v},{v:"number"})),values.every(v=>v%2==0)},isOdd:function isOdd(...values){if(0===values.length)throw new Error("isOdd(): at least one parameter required");return values.forEach(v=>guard("isOdd",{v:v},{v:"number"})),values.every(v=>v%2!=0)},factorial:function factorial(n){if(guard("factorial",{n:n},{n:"number"}),!Number.isInteger(n)||n<0)throw new Error("factorial(): parameter must be non-negative integer");if(n<=1)return 1;let result=1;for(let i=2;i<=n;i++)result*=i;return result},isPrime:function isPrime(n){if(guard("isPrime",{n:n},{n:"number"}),!Number.isInteger(n)||n<2)return!1;for(let i=2;i<=Math.sqrt(n);i++)if(n%i===0)return!1;return!0},gcd:gcd,lcm:function lcm(a,b){return guard("lcm",{a:a,b:b},{a:"number",b:"number"}),0===a||0===b?0:Math.abs(a*b)/gcd(a,b)},degreesToRadians:function degreesToRadians(deg){return guard("degreesToRadians",{deg:deg},{deg:"number"}),deg*(Math.PI/180)},radiansToDegrees:function radiansToDegrees(rad){return guard("radiansToDegrees",{rad:rad},{rad:"number"}),rad*(180/Math.PI)},toOrdinal:function toOrdinal(n){guard("toOrdinal",{n:n},{n:"number"});const suffixes=["th","st","nd","rd"],v=Math.abs(n)%100;return n+(suffixes[(v-20)%10]||suffixes[v]||suffixes[0])},randomIntArray:function randomIntArray(min,max,length,precision=0){if(guard("randomIntArray",{min:min,max:max,length:length,precision:precision},{min:"number",max:"number",length:"number",precision:"number?"}),!Number.isInteger(length)||length<0)throw new Error("randomIntArray(): length must be non-negative integer");if(!Number.isInteger(precision)||precision<0)throw new TypeError("randomIntArray(): precision must be non-negative integer");min>max&&([min,max]=[max,min]);const array=[];for(let i=0;i<length;i++){const rand=Math.random()*(max-min)+min;array.push(precision>0?Number(rand.toFixed(precision)):Math.floor(rand))}return array},randomUniqueIntArray:function randomUniqueIntArray(min,max,length,precision=0){if(guard("randomUniqueArray",{min:min,max:max,length:length,precision:precision},{min:"number",max:"number",length:"number",precision:"number?"}),!Number.isInteger(length)||length<0)throw new TypeError("length must be a non-negative integer");if(!Number.isInteger(precision)||precision<0)throw new Error("randomUniqueArray(): precision must be non-negative integer");min>max&&([min,max]=[max,min]);const factor=10**precision,scaledMin=Math.ceil(min*factor),scaledMax=Math.floor(max*factor);if(length>scaledMax-scaledMin+1)throw new Error("randomUniqueArray(): length exceeds unique range");const range=[];for(let i=scaledMin;i<=scaledMax;i++)range.push(i);const result=[];for(;result.length<length;){const idx=Math.floor(Math.random()*range.length),value=range.splice(idx,1)[0];result.push(Number((value/factor).toFixed(precision)))}return result},isPositive:function isPositive(n){return guard("isPositive",{n:n},{n:"number"}),n>0},isNegative:function isNegative(n){return guard("isNegative",{n:n},{n:"number"}),n<0},isObject:isObject,isArray:function isArray(value){return guard("isArray",{value:value},{value:"any"}),Array.isArray(value)},isCollection:function isCollection(value){return guard("isCollection",{value:value},{value:"any"}),null!==value&&(!!Array.isArray(value)||(value instanceof Map||value instanceof Set||value instanceof WeakMap||value instanceof WeakSet||Object.getPrototypeOf(value)===Object.prototype))},checkType:function checkType(value,expectedType){if("string"!=typeof expectedType)throw new TypeError("Primux/checkType(): expectedType must be a string");switch(expectedType){case"number":return"number"==typeof value&&!Number.isNaN(value);case"int":return Number.isInteger(value);case"string":return"string"==typeof value;case"boolean":case"bool":return"boolean"==typeof value;case"float":return"number"==typeof value&&!Number.isNaN(value)&&!Number.isInteger(value);case"array":return Array.isArray(value);case"object":return null!==value&&"object"==typeof value&&!Array.isArray(value);case"null":return null===value;case"undefined":return void 0===value;case"symbol":return"symbol"==typeof value;case"element":return value instanceof Element;default:throw new Error(`checkType(): unknown type "${expectedType}"`)}},int:function int(){return createType("number","int(): only accepts integer numbers",v=>Number.isSafeInteger(v))(...arguments)},string:function string(){return createType("string","string(): only accepts string",v=>"string"==typeof v)(...arguments)},bool:function bool(){return createType("boolean","bool(): only accepts boolean",v=>"boolean"==typeof v)(...arguments)},object:function object(){return createType("object","object(): only accepts plain objects",v=>null!==v&&"object"==typeof v&&Object.getPrototypeOf(v)===Object.prototype)(...arguments)},array:function array(){return createType("array","array(): only accepts arrays",v=>Array.isArray(v))(...arguments)},float:function float(){return createType("float","float(): only accepts floating point numbers",v=>"number"==typeof v&&!Number.isNaN(v))(...arguments)},sym:function sym(){return createType("symbol","sym(): only accepts symbol",v=>"symbol"==typeof v)(...arguments)},isNaN:isNaN,defaultIfNaN:function defaultIfNaN(value,defaultValue=void 0){return guard("defaultIfNaN",{value:value,defaultValue:defaultValue},{value:"any",defaultValue:"any"}),isNaN(value)?defaultValue:value},isNull:function isNull(value){return guard("isNull",{value:value},{value:"any"}),null===value},isUndefined:function isUndefined(value){if(arguments.length<1)throw new TypeError('Primux/isUndefined(value): parameter "value" is required');return void 0===value},isNil:function isNil(value){if(arguments.length<1)throw new TypeError('Primux/isNil(value): parameter "value" is required');return null==value},defaultIfNull:function defaultIfNull(value,defaultValue){return guard("defaultIfNull",{value:value,defaultValue:defaultValue},{value:"any",defaultValue:"any"}),null===value?defaultValue:value},defaultIfNil:function defaultIfNil(value,defaultValue){if(arguments.length<2)throw new TypeError('Primux/defaultIfNil(value, defaultValue): parameter "value" and "defaultValue" is required');return null==value?defaultValue:value},defaultIfUndefined:function defaultIfUndefined(value,defaultValue){if(arguments.length<2)throw new TypeError('Primux/defaultIfUndefined(value, defaultValue): parameter "value" and "defaultValue" is required');return void 0===value?defaultValue:value},coalesce:function coalesce(...values){if(0===values.length)throw new Error("Primux/coalesce: at least one parameter required");return values.find(v=>null!=v)},isTrue:function isTrue(value){return guard("isTrue",{value:value},{value:"any"}),!!value},isFalse:function isFalse(value){return guard("isFalse",{value:value},{value:"any"}),!value},allTrue:function allTrue(...values){if(0===values.length)throw new Error("Primux/allTrue: at least one parameter required");return values.every(v=>!!v)},allFalse:function allFalse(...values){if(0===values.length)throw new Error("Primux/allFalse: at least one parameter required");return values.every(v=>!v)},anyTrue:function anyTrue(...values){if(0===values.length)throw new Error("Primux/anyTrue: at least one parameter required");return values.some(v=>!!v)},anyFalse:function anyFalse(...values){if(0===values.length)throw new Error("Primux/anyFalse: at least one parameter required");return values.some(v=>!v)},xor:function xor(a,b){return guard("xor",{a:a,b:b},{a:"any",b:"any"}),!!a!=!!b},and:function and(...values){if(0===values.length)throw new Error("Primux/and: at least one parameter required");return values.every(v=>!!v)},or:function or(...values){if(0===values.length)throw new Error("Primux/or: at least one parameter required");return values.some(v=>!!v)},not:function not(value){return guard("not",{value:value},{value:"any"}),!value},coerce:function coerce(value){return guard("coerce",{value:value},{value:"any"}),!!value},ifTruthy:function ifTruthy(value,callback){if(guard("ifTruthy",{value:value,callback:callback},{value:"any",callback:"function"}),value)return callback(value)},ifFalsy:function ifFalsy(value,callback){if(guard("ifFalsy",{value:value,callback:callback},{value:"any",callback:"function"}),!value)return callback(value)},isEmpty:isEmpty,isNotEmpty:function isNotEmpty(collection){return!isEmpty(collection)},first:function first(array){return guard("first",{array:array},{array:"array"}),0===array.length?void 0:array[0]},last:function last(array){return guard("last",{array:array},{array:"array"}),0===array.length?void 0:array[array.length-1]},atSafe:function atSafe(array,index){guard("atSafe",{array:array,index:index},{array:"array",index:"number"});const len=array.length,i=index<0?len+index:index;return i<0||i>=len?{value:void 0,exists:!1}:{value:array[i],exists:!0}},sum:function sum(array){guard("sum",{array:array},{array:"array"});let total=0;for(let i=0;i<array.length;i++){const v=array[i];"number"==typeof v&&Number.isFinite(v)&&(total+=v)}return total},average:function average(array){guard("average",{array:array},{array:"array"});let total=0,count=0;for(let i=0;i<array.length;i++){const v=array[i];"number"==typeof v&&Number.isFinite(v)&&(total+=v,count++)}return 0===count?void 0:total/count},min:function min(array){let min;guard("min",{array:array},{array:"array"});for(let i=0;i<array.length;i++){const v=array[i];"number"==typeof v&&Number.isFinite(v)&&(void 0===min||v<min)&&(min=v)}return min},max:function max(array){let max;guard("max",{array:array},{array:"array"});for(let i=0;i<array.length;i++){const v=array[i];"number"==typeof v&&Number.isFinite(v)&&(void 0===max||v>max)&&(max=v)}return max},range:function range(array){let max,min;guard("range",{array:array},{array:"array"});for(let i=0;i<array.length;i++){const v=array[i];"number"==typeof v&&Number.isFinite(v)&&((void 0===max||v>max)&&(max=v),(void 0===min||v<min)&&(min=v))}return void 0===max||void 0===min?void 0:max-min},median:function median(array){guard("median",{array:array},{array:"array"});const nums=array.filter(v=>"number"==typeof v&&Number.isFinite(v));if(0===nums.length)return;nums.sort((a,b)=>a-b);const mid=Math.floor(nums.length/2);return nums.length%2==0?(nums[mid-1]+nums[mid])/2:nums[mid]},unique:function unique(array){guard("unique",{array:array},{array:"array"});const seen=new Map,result=[];for(const v of array){const key=stableHash(v);seen.has(key)||(seen.set(key,!0),result.push(v))}return result},duplicates:function duplicates(array){guard("duplicates",{array:array},{array:"array"});const count=new Map,originals=new Map,result=[];for(const v of array){const key=stableHash(v);count.has(key)?count.set(key,count.get(key)+1):(originals.set(key,v),count.set(key,1))}for(const[key,c]of count.entries())c>1&&result.push(originals.get(key));return result},count:function count(array,value){if(guard("count",{array:array,value:value},{array:"array",value:"any?"}),void 0!==value){const key=stableHash(value);let total=0;for(const v of array)stableHash(v)===key&&total++;return total}const result=new Map;for(const v of array){const key=stableHash(v);result.set(key,(result.get(key)||0)+1)}return result},containsAll:function containsAll(array,other){guard("containsAll",{array:array,other:other},{array:"array",other:"array"});const map=new Map;for(const v of array)map.set(stableHash(v),!0);for(const v of other)if(!map.has(stableHash(v)))return!1;return!0},intersection:function intersection(array,other,options={}){guard("intersection",{array:array,other:other,options:options},{array:"array",other:"array",options:"object?"});const{unique:unique=!1}=options,map=new Map,result=[],seen=new Set;for(const v of other)map.set(stableHash(v),!0);for(const v of array){const h=stableHash(v);map.has(h)&&(unique?seen.has(h)||(result.push(v),seen.add(h)):result.push(v))}return result},union:function union(array,other){guard("union",{array:array,other:other},{array:"array",other:"array"});const result=[],seen=new Map;for(const v of[...array,...other]){const key=stableHash(v);seen.has(key)||(seen.set(key,!0),result.push(v))}return result},remove:function remove(array,value){if(guard("remove",{array:array},{array:"array"}),arguments.length<2)throw new TypeError('Primux/remove(array, value): parameter "value" is required');return array.filter(v=>!deepEqual(v,value))},swap:function swap(array,fIndex,sIndex){if(guard("swap",{array:array,fIndex:fIndex,sIndex:sIndex},{array:"array",fIndex:"number",sIndex:"number"}),fIndex<0||fIndex>=array.length||sIndex<0||sIndex>=array.length)throw new RangeError("swap(array, i, j): index out of bounds");const newArr=[...array],temp=newArr[fIndex];return newArr[fIndex]=newArr[sIndex],newArr[sIndex]=temp,newArr},clear:function clear(array){guard("clear",{array:array},{array:"array"}),array.splice(0,array.length)},chunk:function chunk(array,size){guard("chunk",{array:array,size:size},{array:"array",size:"number"});const result=[];if(size<=0)throw new RangeError("Primux/chunk: size must be greater than 0");for(let i=0;i<array.length;i+=size)result.push(array.slice(i,i+size));return result},zip:function zip(...arrays){arrays.forEach(a=>guard("zip",{a:a},{a:"array"}));const result=[],minLength=Math.min(...arrays.map(a=>a.length));for(let i=0;i<minLength;i++)result.push(arrays.map(a=>a[i]));return result},flattenDeep:function flattenDeep(array){guard("flattenDeep",{array:array},{array:"array"});const result=[],stack=[...array];for(;stack.length;){const value=stack.pop();Array.isArray(value)?stack.push(...value):result.push(value)}return result.reverse()},flattenTo:function flattenTo(array,depth=1){guard("flattenTo",{array:array,depth:depth},{array:"array",depth:"number?"}),depth<0&&(depth=0);const result=[],deep=(arr,currentDepth)=>{arr.forEach(item=>{Array.isArray(item)&&currentDepth<depth?deep(item,currentDepth+1):result.push(item)})};return deep(array,0),result},sortAsc:function sortAsc(array,comparator){return guard("sortAsc",{array:array,comparator:comparator},{array:"array",comparator:"function?"}),"function"==typeof comparator?[...array].sort(comparator):[...array].sort((a,b)=>{const toNumber=v=>"boolean"==typeof v?v?1:0:v;return"number"==typeof a&&"number"==typeof b?a-b:"string"==typeof a&&"string"==typeof b?a.localeCompare(b):toNumber(a)-toNumber(b)})},sortDesc:function sortDesc(array,comparator){return guard("sortDesc",{array:array,comparator:comparator},{array:"array",comparator:"function?"}),"function"==typeof comparator?[...array].sort((a,b)=>comparator(b,a)):[...array].sort((a,b)=>{const toNumber=v=>"boolean"==typeof v?v?1:0:v;return"number"==typeof a&&"number"==typeof b?b-a:"string"==typeof a&&"string"==typeof b?b.localeCompare(a):toNumber(b)-toNumber(a)})},shuffle:shuffle,sample:function sample(array,count=1){if(guard("sample",{array:array,count:count},{array:"array",count:"number?"}),0===array.length)return;if(count>array.length)throw new RangeError("Primux/sample: count exceeds array length");return shuffle(array).slice(0,count)},compact:function compact(array){return guard("compact",{array:array},{array:"array"}),array.filter(v=>Boolean(v))},keysArray:function keysArray(obj){return guard("keysArray",{obj:obj},{obj:"object"}),Reflect.ownKeys(obj)},valuesArray:function valuesArray(obj){return guard("valuesArray",{obj:obj},{obj:"object"}),Reflect.ownKeys(obj).map(k=>obj[k])},entriesArray:function entriesArray(obj){return guard("entriesArray",{obj:obj},{obj:"object"}),Reflect.ownKeys(obj).map(k=>[k,obj[k]])},keysLength:function keysLength(obj){return guard("keysLength",{obj:obj},{obj:"object"}),Reflect.ownKeys(obj).length},has:has,deepClone:deepClone,deepMerge:deepMerge,mergeAll:function mergeAll(...objects){if(guard("mergeAll",{objects:objects},{objects:"array"}),!objects.length)return{};const seen=new WeakMap;let result={};for(const obj of objects)result=deepMerge(result,obj,seen);return result},pick:function pick(obj,keysArr){guard("pick",{obj:obj,keysArr:keysArr},{obj:"object",keysArr:"array"});const result={};for(const key of keysArr){if("string"!=typeof key&&"symbol"!=typeof key)throw new TypeError("pick(): keys must be string or symbol");has(obj,key)&&(result[key]=obj[key])}return result},omit:function omit(obj,keysArr){guard("omit",{obj:obj,keysArr:keysArr},{obj:"object",keysArr:"array"});const result=deepClone(obj);for(const key of keysArr){if("string"!=typeof key&&"symbol"!=typeof key)throw new TypeError("omit(): keys must be string or symbol");delete result[key]}return result},mapValues:function mapValues(obj,callback){guard("mapValues",{obj:obj,callback:callback},{obj:"object",callback:"function"});const result={};for(const key of Reflect.ownKeys(obj))result[key]=callback(obj[key],key,obj);return result},mapKeys:function mapKeys(obj,callback){guard("mapKeys",{obj:obj,callback:callback},{obj:"object",callback:"function"});const result={};for(const key of Reflect.ownKeys(obj)){const newKey=callback(key,obj[key],obj);if("string"!=typeof newKey&&"symbol"!=typeof newKey)throw new TypeError("mapKeys(): callback must return string or symbol");result[newKey]=obj[key]}return result},mapEntries:function mapEntries(obj,callback){guard("mapEntries",{obj:obj,callback:callback},{obj:"object",callback:"function"});const result={};for(const key of Reflect.ownKeys(obj)){const[newKey,newValue]=callback(key,obj[key],obj);if("string"!=typeof newKey&&"symbol"!=typeof newKey)throw new TypeError("mapEntries(): newKey must be string or symbol");result[newKey]=newValue}return result},filterObj:function filterObj(obj,callback){guard("filterObj",{obj:obj,callback:callback},{obj:"object",callback:"function"});const result={};for(const key of Reflect.ownKeys(obj))callback(obj[key],key,obj)&&(result[key]=obj[key]);return result},deepFreeze:function deepFreeze(obj,seen=new WeakSet){if(null===obj||"object"!=typeof obj||seen.has(obj))return obj;seen.add(obj),Object.freeze(obj);for(const key of Reflect.ownKeys(obj))deepFreeze(obj[key],seen);return obj},keyBy:function keyBy(arr,cb){guard("keyBy",{arr:arr,cb:cb},{arr:"array",cb:"function"});const result={};for(const item of arr){const key=cb(item);if("string"!=typeof key&&"symbol"!=typeof key&&"number"!=typeof key)throw new TypeError("keyBy(): key must be string or symbol or number");result[key]=item}return result},invert:function invert(obj){guard("invert",{obj:obj},{obj:"object"});const result={};for(const key of Reflect.ownKeys(obj)){const value=obj[key];result["symbol"==typeof value?value:String(value)]=key}return result},uppercaseWords:function uppercaseWords(str){return guard("uppercaseWords",{str:str},{str:"string"}),str?str.trim().split(/\s+/).map(w=>w[0].toUpperCase()+w.slice(1)).join(" "):""},lowercaseWords:function lowercaseWords(str){return guard("lowercaseWords",{str:str},{str:"string"}),str?str.trim().split(/\s+/).map(w=>w[0].toLowerCase()+w.slice(1)).join(" "):""},truncate:function truncate(str,length,ellipsis="..."){return guard("truncate",{str:str,length:length,ellipsis:ellipsis},{str:"string",length:"number",ellipsis:"string?"}),str&&length?(guardNegativeNumber(length,"truncate(str, length, ellipsis?)"),str.length<=length?str:str.slice(0,length)+ellipsis):""},uppercaseChar:function uppercaseChar(char){return guard("uppercaseChar",{char:char},{char:"string"}),char?(checkChar(char,"uppercaseChar(char)"),char.toUpperCase()):""},lowercaseChar:function lowercaseChar(char){return guard("lowercaseChar",{char:char},{char:"string"}),char?(checkChar(char,"lowercaseChar(char)"),char.toLowerCase()):""},uppercaseFirstChar:function uppercaseFirstChar(str){if(guard("uppercaseFirstChar",{str:str},{str:"string"}),!str)return"";const chars=Array.from(str);return chars[0]=chars[0].toUpperCase(),chars.join("")},lowercaseFirstChar:function lowercaseFirstChar(str){if(guard("lowercaseFirstChar",{str:str},{str:"string"}),!str)return"";const chars=Array.from(str);return chars[0]=chars[0].toLowerCase(),chars.join("")},slugify:function slugify(str){return guard("slugify",{str:str},{str:"string"}),str?str.toLowerCase().trim().replace(/[^\w\s-]/g,"").replace(/\s+/g,"-").replace(/-+/g,"-").replace(/^-+|-+$/g,""):""},stripHtml:function stripHtml(html){if(guard("stripHtml",{html:html},{html:"string"}),"undefined"!=typeof document){const div=createElement("div",{html:html});return div.querySelectorAll("script, style").forEach(el=>el.remove()),div.textContent||""}return html?html.replace(/<script[\s\S]*?>[\s\S]*?<\/script>/gi,"").replace(/<style[\s\S]*?>[\s\S]*?<\/style>/gi,"").replace(/<[^>]+>/g,""):""},escapeHtml:function escapeHtml(html){return guard("escapeHtml",{html:html},{html:"string"}),html?html.replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;").replace(/'/g,"&#39;"):""},countOccurrences:function countOccurrences(str,s){if(guard("countOccurrences",{str:str,s:s},{str:"string",s:"string"}),!s||!str)return 0;let count=0,pos=0;for(;-1!==(pos=str.indexOf(s,pos));)count++,pos+=s.length;return count},reverseString:function reverseString(str){return guard("reverseString",{str:str},{str:"string"}),str?Array.from(str).reverse().join(""):""},padCenter:function padCenter(str,length,pad=" "){if(guard("padCenter",{str:str,length:length,pad:pad},{str:"string",length:"number",pad:"string?"}),guardNegativeNumber(length,"padCenter(str, length, pad?)"),!pad)throw new TypeError("Primux/padCenter: pad must be non-empty");const strLen=str.length;if(strLen>=length)return str;const totalPad=length-strLen,left=Math.floor(totalPad/2),right=totalPad-left,makePad=n=>pad.repeat(Math.ceil(n/pad.length)).slice(0,n);return makePad(left)+str+makePad(right)},removeAccent:function removeAccent(str){return guard("removeAccent",{str:str},{str:"string"}),str?str.normalize("NFD").replace(/[\u0300-\u036f]/g,""):""},isPalindrome:function isPalindrome(str){guard("isPalindrome",{str:str},{str:"string"});const cleaned=str?str.toLowerCase().replace(/[^\p{L}\p{N}]/gu,""):"";return cleaned===Array.from(cleaned).reverse().join("")}})}();!function(root,factory){"function"==typeof define&&define.amd?define([],factory):"object"==typeof module&&module.exports?module.exports=factory():root._p=factory()}("undefined"!=typeof globalThis?globalThis:this,function(){return _p});
\ No newline at end of file
+const reactiveState={observer:null,batchDepth:0,flushing:!1,queue:new Set};function createNode(){return{observers:new Set}}function trackNode(node){const observer=reactiveState.observer;observer&&(node.observers.add(observer),observer.sources.add(node))}function invalidateNode(node){[...node.observers].forEach(observer=>observer.invalidate())}function flushReactive(){if(reactiveState.batchDepth>0||reactiveState.flushing)return;reactiveState.flushing=!0;const errors=[];try{for(;reactiveState.queue.size;){const[job]=reactiveState.queue;reactiveState.queue.delete(job);try{job.run()}catch(err){errors.push(err)}}}finally{reactiveState.flushing=!1}if(1===errors.length)throw errors[0];if(errors.length>1)throw new AggregateError(errors,"Primux/effect: multiple effects threw")}function triggerNode(node){invalidateNode(node),flushReactive()}function unlinkObserver(observer){observer.sources.forEach(source=>source.observers.delete(observer)),observer.sources.clear()}function runObserved(observer,fn){unlinkObserver(observer);const previous=reactiveState.observer;reactiveState.observer=observer;try{return fn()}finally{reactiveState.observer=previous}}function subscribeNode(node,read,fn){let last=read();const job={run(){const previous=last;last=read(),Object.is(previous,last)||fn(last,previous)}},observer={sources:new Set,invalidate(){reactiveState.queue.add(job)}};return node.observers.add(observer),()=>{node.observers.delete(observer),reactiveState.queue.delete(job)}}function createType(typeName,message,validator){let value;const node=createNode();function validate(v){if(!validator(v))throw new TypeError(message)}function peek(){return value}return function(initialValue){return arguments.length>0&&(validate(initialValue),value=initialValue),{get:()=>(trackNode(node),value),set(newValue){validate(newValue),Object.is(value,newValue)||(value=newValue,triggerNode(node))},clear(){void 0!==value&&(value=void 0,triggerNode(node))},peek:peek,subscribe:fn=>(guard("subscribe",{fn:fn},{fn:"function"}),subscribeNode(node,peek,fn)),type:()=>typeName}}}function resolveStorage(type,fn){if("local"===type)return localStorage;if("session"===type)return sessionStorage;throw new Error(`Primux/${fn}: type must be "local" or "session". Default is "local".`)}function typeOf(v){return null===v?"null":Number.isNaN(v)?"NaN":Array.isArray(v)?"array":"undefined"!=typeof window&&"undefined"!=typeof Element&&v instanceof Element?"dom":v instanceof RegExp?"RegExp":typeof v}function guard(fn,values,schema){const params=Object.keys(schema).join(", ");for(const key in schema){const rule=schema[key],value=values[key],optional=rule.endsWith("?"),expected=optional?rule.slice(0,-1):rule;if(void 0===value){if(optional)continue;throw new TypeError(`Primux/${fn}(${params}): parameter "${key}" is required`)}if("any"===expected)continue;const actual=typeOf(value);if(!expected.split("|").includes(actual))throw new TypeError(`Primux/${fn}(${params}): parameter "${key}" expected ${expected}, received ${actual}`)}}function ensureDOM(fnName){if("undefined"==typeof document)throw new Error(`Primux/${fnName}(): DOM is not available in this environment!`)}const symbolIds=(()=>{try{return(new WeakMap).set(Symbol(),0)}catch{return null}})();let symbolCount=0;function enumerableKeys(obj){const symbols=Object.getOwnPropertySymbols(obj).filter(s=>Object.prototype.propertyIsEnumerable.call(obj,s));return[...Object.keys(obj),...symbols]}function createHasher(){return{hi:3421674724,lo:2216829733}}function feedByte(h,b){const lo=(h.lo^b)>>>0,product=435*lo;h.hi=Math.imul(h.hi,435)+Math.floor(product/4294967296)+(lo<<8)>>>0,h.lo=product>>>0}function feedUint32(h,n){feedByte(h,255&n),feedByte(h,n>>>8&255),feedByte(h,n>>>16&255),feedByte(h,n>>>24)}function mul64(aHi,aLo,bHi,bLo){const a0=65535&aLo,a1=aLo>>>16,b0=65535&bLo,b1=bLo>>>16,p00=a0*b0,p01=a0*b1,p10=a1*b0,mid=(p00>>>16)+(65535&p01)+(65535&p10);return{hi:a1*b1+(p01>>>16)+(p10>>>16)+Math.floor(mid/65536)+Math.imul(aHi,bLo)+Math.imul(aLo,bHi)>>>0,lo:((65535&mid)<<16|65535&p00)>>>0}}function finishHash({hi:hi,lo:lo}){return lo=(lo^hi>>>1)>>>0,({hi:hi,lo:lo}=mul64(hi,lo,4283543511,3981806797)),lo=(lo^hi>>>1)>>>0,({hi:hi,lo:lo}=mul64(hi,lo,3301882366,444984403)),{hi:hi,lo:lo=(lo^hi>>>1)>>>0}}function feedString(h,str){feedUint32(h,str.length);for(let i=0;i<str.length;i++){const c=str.charCodeAt(i);feedByte(h,255&c),feedByte(h,c>>>8)}}const numberView=new DataView(new ArrayBuffer(8));function feedNumber(h,n){numberView.setFloat64(0,0===n?0:Number.isNaN(n)?NaN:n,!0),feedUint32(h,numberView.getUint32(0,!0)),feedUint32(h,numberView.getUint32(4,!0))}function feedBytes(h,bytes){feedUint32(h,bytes.length);for(let i=0;i<bytes.length;i++)feedByte(h,bytes[i])}function feedUnordered(h,items,feedItem){const digests=items.map(item=>{const sub=createHasher();return feedItem(sub,item),[sub.hi,sub.lo]});digests.sort((a,b)=>a[0]-b[0]||a[1]-b[1]),feedUint32(h,digests.length),digests.forEach(([hi,lo])=>{feedUint32(h,hi),feedUint32(h,lo)})}function feedValue(h,value,ancestors){if(null===value)return feedUint32(h,0);switch(typeof value){case"undefined":return feedUint32(h,1);case"boolean":return feedUint32(h,2),feedUint32(h,value?1:0);case"number":return feedUint32(h,3),feedNumber(h,value);case"string":return feedUint32(h,4),feedString(h,value);case"bigint":return feedUint32(h,5),feedString(h,value.toString(16));case"symbol":{feedUint32(h,6);const key=Symbol.keyFor(value);return void 0!==key?feedString(h,key):symbolIds?(symbolIds.has(value)||symbolIds.set(value,++symbolCount),feedUint32(h,symbolIds.get(value))):feedString(h,value.description??"")}case"function":return feedUint32(h,7),feedString(h,String(value))}const depth=ancestors.indexOf(value);if(-1!==depth)return feedUint32(h,8),feedUint32(h,ancestors.length-depth);ancestors.push(value);try{feedObject(h,value,ancestors)}finally{ancestors.pop()}}function feedObject(h,value,ancestors){if(Array.isArray(value)){feedUint32(h,10),feedUint32(h,value.length);for(let i=0;i<value.length;i++)feedValue(h,value[i],ancestors);return}const proto=Object.getPrototypeOf(value);if(proto!==Object.prototype&&null!==proto&&feedBuiltIn(h,value,ancestors))return;const keys=Object.keys(value).sort();feedUint32(h,19),feedUint32(h,keys.length);for(const k of keys)feedString(h,k),feedValue(h,value[k],ancestors);const symbols=Object.getOwnPropertySymbols(value);if(0===symbols.length)return feedUint32(h,0);feedUnordered(h,symbols.filter(k=>Object.prototype.propertyIsEnumerable.call(value,k)),(sub,k)=>{feedValue(sub,k,ancestors),feedValue(sub,value[k],ancestors)})}function feedBuiltIn(h,value,ancestors){const feed=(sub,v)=>feedValue(sub,v,ancestors);if(value instanceof Date)feedUint32(h,11),feedNumber(h,value.getTime());else if(value instanceof RegExp)feedUint32(h,12),feedString(h,String(value));else if(value instanceof Map)feedUint32(h,13),feedUnordered(h,[...value],(sub,[k,v])=>{feed(sub,k),feed(sub,v)});else if(value instanceof Set)feedUint32(h,14),feedUnordered(h,[...value],feed);else if(value instanceof DataView)feedUint32(h,15),feedBytes(h,new Uint8Array(value.buffer,value.byteOffset,value.byteLength));else if(ArrayBuffer.isView(value)){feedUint32(h,16),feedString(h,Object.prototype.toString.call(value)),feedUint32(h,value.length);for(const v of value)"bigint"==typeof v?feedString(h,v.toString(16)):feedNumber(h,v)}else if(value instanceof ArrayBuffer)feedUint32(h,17),feedBytes(h,new Uint8Array(value));else{if(!(value instanceof Number||value instanceof String||value instanceof Boolean))return!1;feedUint32(h,18),feedString(h,Object.prototype.toString.call(value)),feed(h,value.valueOf())}return!0}function hashDigest(value){const h=createHasher();return feedValue(h,value,[]),finishHash(h)}function stableHash(value){const{hi:hi,lo:lo}=hashDigest(value);return hi.toString(16).padStart(8,"0")+lo.toString(16).padStart(8,"0")}function hashKey(value){const{hi:hi,lo:lo}=hashDigest(value);return 2097152*hi+(lo>>>11)}function decimalPlaces(num){const match=String(num).match(/(?:\.(\d+))?(?:[eE]([+-]?\d+))?$/);if(!match)return 0;const decimals=match[1]?match[1].length:0,exponent=match[2]?parseInt(match[2],10):0;return Math.max(0,decimals-exponent)}function normalizeToArray(input,fnName){if(null==input)throw new TypeError(`Primux/${fnName}: expected input, got ${input}`);if(input instanceof HTMLElement)return[input];if(NodeList.prototype.isPrototypeOf(input)||HTMLCollection.prototype.isPrototypeOf(input)){if(0===input.length)throw new RangeError(`Primux/${fnName}: element collection must not be empty`);return Array.from(input)}if(Array.isArray(input)){if(0===input.length)throw new RangeError(`Primux/${fnName}: array must not be empty`);return input.flat(1/0)}if("string"==typeof input){const trimmed=input.trim();if(""===trimmed)throw new RangeError(`Primux/${fnName}: string must not be empty`);return[trimmed]}throw new TypeError(`Primux/${fnName}: expected HTMLElement, NodeList, HTMLCollection, array, or string`)}function checkChar(c,fn){if("string"!=typeof c||1!==c.length)throw new TypeError(`Primux/${fn}(str, char): expected a single-character string`)}function getDuration(duration){return"number"==typeof duration?duration:300}function structuralEqual(a,b,strict,pathA,pathB){const objects=null!==a&&null!==b&&"object"==typeof a&&"object"==typeof b;if(!objects||0===pathA.length){if(strict?Object.is(a,b):a===b||a!=a&&b!=b)return!0;if(!objects)return!1}const i=pathA.indexOf(a),j=pathB.indexOf(b);if(-1!==i||-1!==j)return i===j;if(strict&&Object.getPrototypeOf(a)!==Object.getPrototypeOf(b))return!1;if(Object.prototype.toString.call(a)!==Object.prototype.toString.call(b))return!1;if(Array.isArray(a)!==Array.isArray(b))return!1;pathA.push(a),pathB.push(b);try{return compareStructure(a,b,strict,pathA,pathB)}finally{pathA.pop(),pathB.pop()}}function compareStructure(a,b,strict,pathA,pathB){const eq=(x,y)=>structuralEqual(x,y,strict,pathA,pathB),sameKey=(map,k)=>(null===k||"object"!=typeof k)&&map.has(k);if(a instanceof Date)return Object.is(a.getTime(),b.getTime());if(a instanceof RegExp)return a.source===b.source&&a.flags===b.flags;if(a instanceof Number||a instanceof String||a instanceof Boolean)return eq(a.valueOf(),b.valueOf());if(a instanceof Map){if(a.size!==b.size)return!1;const unmatched=[...b.keys()].filter(k=>!sameKey(a,k));for(const[k,v]of a){if(sameKey(b,k)){if(!eq(v,b.get(k)))return!1;continue}const i=unmatched.findIndex(bk=>eq(k,bk)&&eq(v,b.get(bk)));if(-1===i)return!1;unmatched.splice(i,1)}return!0}if(a instanceof Set){if(a.size!==b.size)return!1;const unmatched=[...b].filter(v=>!sameKey(a,v));for(const v of a){if(sameKey(b,v))continue;const i=unmatched.findIndex(bv=>eq(v,bv));if(-1===i)return!1;unmatched.splice(i,1)}return!0}if(a instanceof ArrayBuffer||a instanceof DataView){const bytesA=a instanceof DataView?new Uint8Array(a.buffer,a.byteOffset,a.byteLength):new Uint8Array(a),bytesB=b instanceof DataView?new Uint8Array(b.buffer,b.byteOffset,b.byteLength):new Uint8Array(b);return bytesA.length===bytesB.length&&bytesA.every((byte,i)=>byte===bytesB[i])}if(ArrayBuffer.isView(a))return a.length===b.length&&a.every((v,i)=>eq(v,b[i]));if(Array.isArray(a)){if(a.length!==b.length)return!1;for(let i=0;i<a.length;i++)if(!eq(a[i],b[i]))return!1;return!0}const keysA=enumerableKeys(a),keysB=enumerableKeys(b);return keysA.length===keysB.length&&keysA.every(k=>Object.prototype.hasOwnProperty.call(b,k)&&eq(a[k],b[k]))}function deepEqual(a,b){return structuralEqual(a,b,!1,[],[])}function createWaitQueue(){let waiting=[];function drain(){const queue=waiting;return waiting=[],queue}return{add:()=>new Promise((resolve,reject)=>waiting.push({resolve:resolve,reject:reject})),resolve(value){drain().forEach(w=>w.resolve(value))},reject(err){drain().forEach(w=>w.reject(err))}}}function rejectQuietly(pending,err){pending.promise.catch(()=>{}),pending.reject(err)}function abortError(signal){if(void 0!==signal.reason)return signal.reason;const err=new Error("Primux: the operation was aborted");return err.name="AbortError",err}function throwIfAborted(signal){if(signal&&signal.aborted)throw abortError(signal)}function abortableSleep(ms,signal){return new Promise((resolve,reject)=>{if(signal&&signal.aborted)return reject(abortError(signal));const onAbort=()=>{clearTimeout(timerId),reject(abortError(signal))},timerId=setTimeout(()=>{signal&&signal.removeEventListener("abort",onAbort),resolve()},ms);signal&&signal.addEventListener("abort",onAbort,{once:!0})})}const realClock={sleep:abortableSleep};function resolveRetryPolicy(fn,policy,defaults={}){const options="number"==typeof policy?{attempts:policy}:policy||{},{attempts:attempts=defaults.attempts??3,delay:delay=defaults.delay??0,backoff:backoff="fixed",factor:factor=2,maxDelay:maxDelay=1/0,jitter:jitter="none",shouldRetry:shouldRetry=()=>!0,onRetry:onRetry,signal:signal,clock:clock=realClock,rng:rng=Math.random}=options;if(guard(fn,{attempts:attempts,delay:delay,backoff:backoff,factor:factor,maxDelay:maxDelay,jitter:jitter,shouldRetry:shouldRetry,onRetry:onRetry,signal:signal,clock:clock,rng:rng},{attempts:"number",delay:"number",backoff:"string",factor:"number",maxDelay:"number",jitter:"string",shouldRetry:"function",onRetry:"function?",signal:"object?",clock:"object",rng:"function"}),!Number.isInteger(attempts)||attempts<0)throw new RangeError(`Primux/${fn}: attempts should be a non-negative integer`);if(!Number.isFinite(delay)||delay<0)throw new RangeError(`Primux/${fn}: delay should be a finite non-negative number`);if(!(maxDelay>=0))throw new RangeError(`Primux/${fn}: maxDelay should be a non-negative number`);if(!["fixed","linear","exponential"].includes(backoff))throw new RangeError(`Primux/${fn}: backoff must be "fixed", "linear" or "exponential"`);if(!["none","full","decorrelated"].includes(jitter))throw new RangeError(`Primux/${fn}: jitter must be "none", "full" or "decorrelated"`);if("function"!=typeof clock.sleep)throw new TypeError(`Primux/${fn}: clock must have a sleep(ms, signal) method`);return{attempts:attempts,delay:delay,backoff:backoff,factor:factor,maxDelay:maxDelay,jitter:jitter,shouldRetry:shouldRetry,onRetry:onRetry,signal:signal,clock:clock,rng:rng}}function retryDelay(policy,attempt,previous){const{delay:delay,backoff:backoff,factor:factor,maxDelay:maxDelay,jitter:jitter,rng:rng}=policy;let ms=delay;return"linear"===backoff&&(ms=delay*attempt),"exponential"===backoff&&(ms=delay*factor**(attempt-1)),"full"===jitter&&(ms=rng()*ms),"decorrelated"===jitter&&(ms=delay+rng()*(3*Math.max(previous,delay)-delay)),Math.min(ms,maxDelay)}function runPool(length,limit,task,settled){const results=new Array(length);let next=0,failed=!1;async function worker(){for(;!failed&&next<length;){const i=next++;try{const value=await task(i);results[i]=settled?{status:"fulfilled",value:value}:value}catch(reason){if(!settled)throw failed=!0,reason;results[i]={status:"rejected",reason:reason}}}}const workers=[];for(let i=0;i<Math.min(limit,length);i++)workers.push(worker());return Promise.all(workers).then(()=>results)}function guardLimit(limit,fn){if(limit!==1/0&&(!Number.isInteger(limit)||limit<1))throw new RangeError(`Primux/${fn}: concurrency limit should be a positive integer`)}class TimeoutError extends Error{constructor(message){super(message),this.name="TimeoutError"}}class RateLimitError extends Error{constructor(message){super(message),this.name="RateLimitError"}}class CircuitOpenError extends Error{constructor(message){super(message),this.name="CircuitOpenError"}}function isAsyncIterable(v){return null!=v&&"function"==typeof v[Symbol.asyncIterator]}function isIterable(v){return null!=v&&"function"==typeof v[Symbol.iterator]}function guardIterable(fn,source){if(!isIterable(source)&&!isAsyncIterable(source))throw new TypeError(`Primux/${fn}: expected an iterable or async iterable`)}function*sparseShuffle(size,rng){const slots=new Map;for(let i=0;i<size;i++){const j=i+Math.floor(rng()*(size-i)),picked=slots.has(j)?slots.get(j):j;slots.set(j,slots.has(i)?slots.get(i):i),slots.delete(i),yield picked}}function randomOptions(fn,precision,options){null!==precision&&"object"==typeof precision&&([precision,options]=[0,precision]),guard(fn,{precision:precision,options:options},{precision:"number",options:"object?"});const{rng:rng=Math.random}=options||{};return guard(fn,{rng:rng},{rng:"function"}),{precision:precision,rng:rng}}function uniqueIntSource(fn,min,max,precision,rng){if(!Number.isInteger(precision)||precision<0)throw new Error(`${fn}(): precision must be non-negative integer`);min>max&&([min,max]=[max,min]);const factor=10**precision,scaledMin=Math.ceil(min*factor),scaledMax=Math.floor(max*factor),size=Math.max(0,scaledMax-scaledMin+1);return{size:size,indices:sparseShuffle(size,rng),toValue:i=>Number(((scaledMin+i)/factor).toFixed(precision))}}function createLookup(fn,options){guard(fn,{options:options},{options:"object?"});const{by:by,comparator:comparator}=options||{};guard(fn,{comparator:comparator},{comparator:"function?"});const keyOf=keyAccessor(fn,by),reps=[],primitives=new Map,buckets=new Map,digestOf=key=>comparator||null===key||"object"!=typeof key?void 0:hashKey(key);function find(key,digest){if(comparator)return reps.findIndex(r=>comparator(r,key));if(void 0===digest){const id=primitives.get(key);return void 0===id?-1:id}const bucket=buckets.get(digest);if(void 0===bucket)return-1;for(const id of bucket)if(deepEqual(reps[id],key))return id;return-1}function add(v){const key=keyOf(v),digest=digestOf(key),found=find(key,digest);if(-1!==found)return found;const id=reps.push(key)-1;if(comparator)return id;if(void 0===digest)primitives.set(key,id);else{const bucket=buckets.get(digest);bucket?bucket.push(id):buckets.set(digest,[id])}return id}return{add:add,has(v){const key=keyOf(v);return-1!==find(key,digestOf(key))},addNew(v){const before=reps.length;return add(v)===before}}}function keyAccessor(fn,key){if(void 0===key)return v=>v;if("function"==typeof key)return key;if("string"==typeof key||"number"==typeof key||"symbol"==typeof key){const path="string"==typeof key?key.split("."):[key];return v=>path.reduce((acc,k)=>null==acc?void 0:acc[k],v)}throw new TypeError(`Primux/${fn}: key must be a function or a property path`)}function compareSortValues(a,b,{dir:dir,nulls:nulls,collator:collator}){const aNil=null==a||Number.isNaN(a),bNil=null==b||Number.isNaN(b);return aNil||bNil?aNil&&bNil?0:(aNil?1:-1)*("first"===nulls?-1:1):dir*compareSortKeys(a,b,collator)}function compareSortKeys(a,b,collator){if("string"==typeof a&&"string"==typeof b)return collator.compare(a,b);const x=a instanceof Date?a.getTime():"boolean"==typeof a?Number(a):a,y=b instanceof Date?b.getTime():"boolean"==typeof b?Number(b):b;return typeof x!=typeof y?typeof x<typeof y?-1:1:"number"==typeof x||"bigint"==typeof x?x<y?-1:x>y?1:0:collator.compare(String(x),String(y))}function collectGroups(fn,items,getKeys,as){if("object"!==as&&"map"!==as)throw new RangeError(`Primux/${fn}: "as" must be "object" or "map"`);const buckets=new Map,lookup=createLookup(fn);return items.forEach((item,i)=>{for(const key of getKeys(item,i)){const id="map"===as?lookup.add(key):"symbol"==typeof key?key:String(key);buckets.has(id)||buckets.set(id,{key:"map"===as?key:id,items:[]}),buckets.get(id).items.push(item)}}),[...buckets.values()]}function toGroupOutput(groups,as,mapItems){if("map"===as)return new Map(groups.map(g=>[g.key,mapItems(g.items)]));const result={};for(const g of groups)Object.defineProperty(result,g.key,{value:mapItems(g.items),enumerable:!0,writable:!0,configurable:!0});return result}function isFiniteNumber(v){return"number"==typeof v&&Number.isFinite(v)}function finiteValues(array){return array.filter(isFiniteNumber)}function finitePairs(fn,x,y){if(x.length!==y.length)throw new RangeError(`Primux/${fn}: arrays must have the same length`);const xs=[],ys=[];for(let i=0;i<x.length;i++){const a=x[i],b=y[i];isFiniteNumber(a)&&isFiniteNumber(b)&&(xs.push(a),ys.push(b))}return[xs,ys]}function meanOf(nums){let total=0;for(const v of nums)total+=v;return total/nums.length}function varianceOf(nums,sample){const n=nums.length;if(0===n||sample&&n<2)return;const mean=meanOf(nums);let ss=0;for(const v of nums)ss+=(v-mean)**2;return ss/(sample?n-1:n)}function covarianceOf(xs,ys,sample){const n=xs.length;if(0===n||sample&&n<2)return;const mx=meanOf(xs),my=meanOf(ys);let s=0;for(let i=0;i<n;i++)s+=(xs[i]-mx)*(ys[i]-my);return s/(sample?n-1:n)}function pearsonOf(xs,ys){const n=xs.length;if(n<2)return;const mx=meanOf(xs),my=meanOf(ys);let sxy=0,sxx=0,syy=0;for(let i=0;i<n;i++){const dx=xs[i]-mx,dy=ys[i]-my;sxy+=dx*dy,sxx+=dx*dx,syy+=dy*dy}return 0===sxx||0===syy?void 0:sxy/Math.sqrt(sxx*syy)}function rankValues(nums){const order=nums.map((v,i)=>i).sort((a,b)=>nums[a]-nums[b]),ranks=new Array(nums.length);for(let i=0;i<order.length;){let j=i;for(;j+1<order.length&&nums[order[j+1]]===nums[order[i]];)j++;const rank=(i+j)/2+1;for(let k=i;k<=j;k++)ranks[order[k]]=rank;i=j+1}return ranks}const QUANTILE_METHODS=["linear","lower","higher","nearest","midpoint"];function quantileSorted(sorted,q,method){const pos=q*(sorted.length-1),lo=Math.floor(pos),hi=Math.ceil(pos);switch(method){case"lower":return sorted[lo];case"higher":return sorted[hi];case"nearest":return sorted[Math.round(pos)];case"midpoint":return(sorted[lo]+sorted[hi])/2;default:return sorted[lo]+(sorted[hi]-sorted[lo])*(pos-lo)}}function quantilesOf(fn,array,qs,scale,method){if(!QUANTILE_METHODS.includes(method))throw new RangeError(`Primux/${fn}: method must be one of ${QUANTILE_METHODS.join(", ")}`);const list=Array.isArray(qs)?qs:[qs];for(const q of list)if("number"!=typeof q||!(q>=0&&q<=scale))throw new RangeError(`Primux/${fn}: value must be between 0 and ${scale}`);const sorted=finiteValues(array).sort((a,b)=>a-b),result=list.map(q=>0===sorted.length?void 0:quantileSorted(sorted,q/scale,method));return Array.isArray(qs)?result:result[0]}function snapshotOf(fn,other){const snap=other&&"function"==typeof other.snapshot?other.snapshot():other;if(null===snap||"object"!=typeof snap||"number"!=typeof snap.count)throw new TypeError(`Primux/${fn}: merge expects an accumulator or its snapshot`);return snap}function isTypedArray(v){return ArrayBuffer.isView(v)&&!(v instanceof DataView)}function numericValues(array){const numbers=[],bigints=[];for(let i=0;i<array.length;i++){const v=array[i];"bigint"==typeof v?bigints.push(v):"number"==typeof v&&Number.isFinite(v)&&numbers.push(v)}return 0===numbers.length?bigints:numbers}function preciseSum(nums){let total=0,compensation=0;for(const v of nums){const t=total+v;compensation+=Math.abs(total)>=Math.abs(v)?total-t+v:v-t+total,total=t}return total+compensation}function totalOf(nums,precise){return"bigint"==typeof nums[0]?nums.reduce((a,b)=>a+b):precise?preciseSum(nums):nums.reduce((a,b)=>a+b,0)}function guardNegativeNumber(length,fn){if(length<0)throw new RangeError(`Primux/${fn}: value must not be negative`)}const _p=function(){function shuffle(array,options){guard("shuffle",{array:array,options:options},{array:"array",options:"object?"});const{rng:rng}=randomOptions("shuffle",0,options),result=[...array];for(let i=result.length-1;i>0;i--){const j=Math.floor(rng()*(i+1));[result[i],result[j]]=[result[j],result[i]]}return result}function isEmpty(collection){return guard("isEmpty",{collection:collection},{collection:"array|object"}),Array.isArray(collection)?0===collection.length:0===Object.keys(collection).length}function deepClone(value,seen=new WeakMap){if(null===value||"object"!=typeof value)return value;if(seen.has(value))return seen.get(value);if(value instanceof Date)return new Date(value);if(value instanceof RegExp)return new RegExp(value.source,value.flags);if(value instanceof Map){const result=new Map;return seen.set(value,result),value.forEach((v,k)=>{result.set(deepClone(k,seen),deepClone(v,seen))}),result}if(value instanceof Set){const result=new Set;return seen.set(value,result),value.forEach(v=>result.add(deepClone(v,seen))),result}if(Array.isArray(value)){const result=[];return seen.set(value,result),value.forEach((v,i)=>result[i]=deepClone(v,seen)),result}const result=Object.create(Object.getPrototypeOf(value));seen.set(value,result);for(const key of Reflect.ownKeys(value)){const desc=Object.getOwnPropertyDescriptor(value,key);"value"in desc&&(desc.value=deepClone(desc.value,seen)),Object.defineProperty(result,key,desc)}return result}function has(obj,key){return guard("has",{obj:obj,key:key},{obj:"object",key:"string|symbol"}),Object.prototype.hasOwnProperty.call(obj,key)}function deepMerge(target,source,seen=new WeakMap){if(guard("deepMerge",{target:target,source:source},{target:"object?",source:"object"}),null===source||"object"!=typeof source)return source;if(null===target||"object"!=typeof target)return deepClone(source);let innerMap=seen.get(target);if(innerMap&&innerMap.has(source))return innerMap.get(source);const result=Array.isArray(source)?[]:Object.create(Object.getPrototypeOf(source));innerMap||(innerMap=new WeakMap,seen.set(target,innerMap)),innerMap.set(source,result);for(const key of Reflect.ownKeys(target))result[key]=target[key];for(const key of Reflect.ownKeys(source)){const sVal=source[key],tVal=result[key];result[key]=sVal&&"object"==typeof sVal?deepMerge(tVal,sVal,seen):sVal}return result}function noop(){}function identity(value){return value}function debounce(fn,delay,options={}){guard("debounce",{fn:fn,delay:delay,options:options},{fn:"function",delay:"number",options:"object?"});const{leading:leading=!1,trailing:trailing=!0,maxWait:maxWait}=options;guard("debounce",{leading:leading,trailing:trailing,maxWait:maxWait},{leading:"boolean",trailing:"boolean",maxWait:"number?"});const wait=void 0===maxWait?void 0:Math.max(maxWait,delay);let timerId,lastArgs,lastThis,lastCallTime,result,latest,lastInvokeTime=0;const waiting=createWaitQueue();function invoke(time,sync){const args=lastArgs,context=lastThis;lastArgs=lastThis=void 0,lastInvokeTime=time;try{result=fn.apply(context,args)}catch(err){if(waiting.reject(err),!sync)return;throw latest.catch(noop),err}waiting.resolve(result)}function shouldInvoke(time){if(void 0===lastCallTime)return!0;const sinceCall=time-lastCallTime;return sinceCall>=delay||sinceCall<0||void 0!==wait&&time-lastInvokeTime>=wait}function trailingEdge(time,sync){timerId=void 0,trailing&&lastArgs?invoke(time,sync):(lastArgs=lastThis=void 0,waiting.resolve(result))}function timerExpired(){const time=Date.now();shouldInvoke(time)?trailingEdge(time):timerId=setTimeout(timerExpired,function remainingWait(time){const sinceInvoke=time-lastInvokeTime,remaining=delay-(time-lastCallTime);return void 0===wait?remaining:Math.min(remaining,wait-sinceInvoke)}(time))}function debounced(...args){const time=Date.now(),invoking=shouldInvoke(time);lastArgs=args,lastThis=this,lastCallTime=time;const promise=waiting.add();if(latest&&latest.catch(noop),latest=promise,invoking){if(void 0===timerId)return lastInvokeTime=time,timerId=setTimeout(timerExpired,delay),leading&&invoke(time,!0),promise;if(void 0!==wait)return clearTimeout(timerId),timerId=setTimeout(timerExpired,delay),invoke(time,!0),promise}return void 0===timerId&&(timerId=setTimeout(timerExpired,delay)),promise}return debounced.cancel=function(){clearTimeout(timerId),lastInvokeTime=0,lastArgs=lastThis=lastCallTime=timerId=void 0,waiting.resolve(void 0)},debounced.flush=function(){return void 0!==timerId&&(clearTimeout(timerId),trailingEdge(Date.now(),!0)),result},debounced.pending=function(){return void 0!==timerId},debounced}function timeout(fn,ms,options={}){guard("timeout",{fn:fn,ms:ms,options:options},{fn:"function",ms:"number",options:"object?"});const{signal:signal,passSignal:passSignal=!1}=options;return guard("timeout",{signal:signal,passSignal:passSignal},{signal:"object?",passSignal:"boolean"}),(...args)=>new Promise((resolve,reject)=>{const controller=new AbortController;let timerId;const onAbort=()=>{controller.abort(abortError(signal)),done(),reject(abortError(signal))};function done(){clearTimeout(timerId),signal&&signal.removeEventListener("abort",onAbort)}if(signal&&signal.aborted)return reject(abortError(signal));signal&&signal.addEventListener("abort",onAbort,{once:!0}),timerId=setTimeout(()=>{const err=new TimeoutError(`timeout after ${ms}ms`);controller.abort(err),done(),reject(err)},ms),Promise.resolve().then(()=>passSignal?fn(...args,controller.signal):fn(...args)).then(value=>{done(),resolve(value)},err=>{done(),reject(err)})})}function pipe(...fns){if(0===fns.length)throw new Error("pipe(): parameter should not be empty");fns.forEach(fn=>guard("pipe",{fn:fn},{fn:"function"}));const[head,...rest]=fns;return(...args)=>rest.reduce((acc,fn)=>fn(acc),head(...args))}function pipeAsync(...fns){if(0===fns.length)throw new Error("pipeAsync(): parameter should not be empty");fns.forEach(fn=>guard("pipeAsync",{fn:fn},{fn:"function"}));const[head,...rest]=fns;return async(...args)=>{let acc=await head(...args);for(const fn of rest)acc=await fn(acc);return acc}}const Result=Object.freeze({ok:value=>({ok:!0,value:value}),err:error=>({ok:!1,error:error}),map:(result,fn)=>(guard("Result.map",{result:result,fn:fn},{result:"object",fn:"function"}),result.ok?Result.ok(fn(result.value)):result),unwrapOr:(result,defaultValue)=>(guard("Result.unwrapOr",{result:result},{result:"object"}),result.ok?result.value:defaultValue),match:(result,handlers)=>(guard("Result.match",{result:result,handlers:handlers},{result:"object",handlers:"object"}),guard("Result.match",{ok:handlers.ok,err:handlers.err},{ok:"function",err:"function"}),result.ok?handlers.ok(result.value):handlers.err(result.error))});function createEmitter(options={}){guard("createEmitter",{options:options},{options:"object?"});const{events:events,onError:onError=(err,event)=>console.error(`Primux/emitter: listener for "${event}" threw`,err)}=options;guard("createEmitter",{events:events,onError:onError},{events:"array?",onError:"function"});let listeners=[];function matches(pattern,event){return"*"===pattern||pattern===event||pattern.endsWith(".*")&&event.startsWith(pattern.slice(0,-1))}function checkEvent(event,fn){if(guard(`emitter.${fn}`,{event:event},{event:"string"}),event.includes("*"))throw new TypeError(`Primux/emitter.${fn}: cannot emit a wildcard event "${event}"`);if(events&&!events.includes(event))throw new TypeError(`Primux/emitter.${fn}: unknown event "${event}"`)}function on(event,listener,opts={}){!function checkPattern(pattern,fn){if(guard(`emitter.${fn}`,{event:pattern},{event:"string"}),events&&!events.some(e=>matches(pattern,e)))throw new TypeError(`Primux/emitter.${fn}: unknown event "${pattern}"`)}(event,"on"),guard("emitter.on",{listener:listener,opts:opts},{listener:"function",opts:"object?"});const{once:once=!1,signal:signal}=opts;guard("emitter.on",{once:once,signal:signal},{once:"boolean",signal:"object?"});const entry={event:event,listener:listener,once:once,dispose:()=>{listeners=listeners.filter(e=>e!==entry),signal&&signal.removeEventListener("abort",entry.dispose)}};return signal&&signal.aborted||(signal&&signal.addEventListener("abort",entry.dispose,{once:!0}),listeners=[...listeners,entry]),entry.dispose}function dispatch(event,args){const matched=listeners.filter(e=>matches(e.event,event)),pending=matched.map(entry=>{entry.once&&entry.dispose();try{const callArgs=entry.event===event?args:[event,...args],result=entry.listener(...callArgs);if(result&&"function"==typeof result.then)return Promise.resolve(result).catch(err=>onError(err,event))}catch(err){onError(err,event)}});return{matched:matched.length>0,pending:pending}}return Object.freeze({on:on,once:function once(event,listener,opts={}){return on(event,listener,{...opts,once:!0})},off:function off(event,listener){guard("emitter.off",{event:event,listener:listener},{event:"string",listener:"function?"}),listeners.filter(e=>e.event===event&&(!listener||e.listener===listener)).forEach(e=>e.dispose())},emit:function emit(event,...args){return checkEvent(event,"emit"),dispatch(event,args).matched},emitAsync:async function emitAsync(event,...args){checkEvent(event,"emitAsync");const{matched:matched,pending:pending}=dispatch(event,args);return await Promise.all(pending),matched},listenerCount:function listenerCount(event){return guard("emitter.listenerCount",{event:event},{event:"string?"}),void 0===event?listeners.length:listeners.filter(e=>matches(e.event,event)).length},clear:function clear(){listeners.forEach(e=>e.dispose())}})}function semaphore(permits){if(guard("semaphore",{permits:permits},{permits:"number"}),!Number.isInteger(permits)||permits<1)throw new RangeError("Primux/semaphore(permits): permits should be a positive integer");const holders=[],waiters=[];function acquire(options={}){guard("semaphore.acquire",{options:options},{options:"object?"});const{timeout:timeout,signal:signal}=options;return guard("semaphore.acquire",{timeout:timeout,signal:signal},{timeout:"number?",signal:"object?"}),new Promise((resolve,reject)=>{if(signal&&signal.aborted)return reject(abortError(signal));let released=!1;const releaser=()=>{if(released)return;released=!0,holders.splice(holders.indexOf(releaser),1);const next=waiters.shift();next&&next.grant()};if(holders.length<permits&&0===waiters.length)return holders.push(releaser),resolve(releaser);let timerId;const cleanup=()=>{clearTimeout(timerId),signal&&signal.removeEventListener("abort",onAbort)},waiter={grant(){cleanup(),holders.push(releaser),resolve(releaser)}},cancel=err=>{const i=waiters.indexOf(waiter);-1!==i&&waiters.splice(i,1),cleanup(),reject(err)},onAbort=()=>cancel(abortError(signal));void 0!==timeout&&(timerId=setTimeout(()=>{cancel(new TimeoutError(`Primux/semaphore: acquire timed out after ${timeout}ms`))},timeout)),signal&&signal.addEventListener("abort",onAbort,{once:!0}),waiters.push(waiter)})}return Object.freeze({acquire:acquire,release:function release(){if(0===holders.length)throw new Error("Primux/semaphore: release() called without a matching acquire()");holders[0]()},runExclusive:async function runExclusive(fn,options){guard("semaphore.runExclusive",{fn:fn},{fn:"function"});const releaser=await acquire(options);try{return await fn()}finally{releaser()}},available:()=>permits-holders.length,pending:()=>waiters.length})}function mutex(){const lock=semaphore(1);return Object.freeze({acquire:lock.acquire,release:lock.release,runExclusive:lock.runExclusive,pending:lock.pending,isLocked:()=>0===lock.available()})}function gcd(a,b){for(guard("gcd",{a:a,b:b},{a:"number",b:"number"}),a=Math.abs(a),b=Math.abs(b);0!==b;)[a,b]=[b,a%b];return a}function isNaN(value){return guard("isNaN",{value:value},{value:"any"}),"number"==typeof value&&Number.isNaN(value)}function isObject(value){return guard("isObject",{value:value},{value:"any"}),null!==value&&"object"==typeof value&&Object.getPrototypeOf(value)===Object.prototype}function createElement(tagName,options={}){guard("createElement",{tagName:tagName,options:options},{tagName:"string",options:"object?"});const el=document.createElement(tagName);if(options.class)if(Array.isArray(options.class))el.classList.add(...options.class);else{if("string"!=typeof options.class)throw new TypeError("createElement: 'class' must be string or array of strings");el.classList.add(options.class)}if(options.attrs){if(!isObject(options.attrs))throw new TypeError("createElement: 'attrs' must be an object");Object.entries(options.attrs).forEach(([key,value])=>el.setAttribute(key,value))}if(options.text&&(el.textContent=String(options.text)),options.html&&(el.innerHTML=String(options.html)),options.children){(Array.isArray(options.children)?options.children:[options.children]).forEach(child=>{guard("createElement/children",{child:child},{child:"dom"}),el.appendChild(child)})}return el}function trigger(elements,events,options={}){if(ensureDOM("trigger"),null===options||"object"!=typeof options)throw new TypeError("trigger(): options must be an object");const elArr=normalizeToArray(elements,"trigger(elements, events, options?)"),eventArr=normalizeToArray(events,"trigger(elements, events, options?)");for(const el of elArr){guard("trigger",{el:el},{el:"dom"});for(const eventName of eventArr){guard("trigger",{eventName:eventName},{eventName:"string"});const{detail:detail=null,bubbles:bubbles=!0,cancelable:cancelable=!0}=options;el.dispatchEvent(new CustomEvent(eventName,{detail:detail,bubbles:bubbles,cancelable:cancelable}))}}}function isTouchDevice(){return"ontouchstart"in window||navigator.maxTouchPoints>0||navigator.msMaxTouchPoints>0}const iter=Object.freeze({map:(source,fn)=>(guardIterable("iter.map",source),guard("iter.map",{fn:fn},{fn:"function"}),isAsyncIterable(source)?async function*(){let i=0;for await(const v of source)yield await fn(v,i++)}():function*(){let i=0;for(const v of source)yield fn(v,i++)}()),filter:(source,fn)=>(guardIterable("iter.filter",source),guard("iter.filter",{fn:fn},{fn:"function"}),isAsyncIterable(source)?async function*(){let i=0;for await(const v of source)await fn(v,i++)&&(yield v)}():function*(){let i=0;for(const v of source)fn(v,i++)&&(yield v)}()),take:(source,n)=>(guardIterable("iter.take",source),guard("iter.take",{n:n},{n:"number"}),guardNegativeNumber(n,"iter.take(source, n)"),isAsyncIterable(source)?async function*(){if(n<=0)return;let i=0;for await(const v of source)if(yield v,++i>=n)return}():function*(){if(n<=0)return;let i=0;for(const v of source)if(yield v,++i>=n)return}()),chunk(source,size){if(guardIterable("iter.chunk",source),guard("iter.chunk",{size:size},{size:"number"}),!Number.isInteger(size)||size<=0)throw new RangeError("Primux/iter.chunk: size must be a positive integer");return isAsyncIterable(source)?async function*(){let batch=[];for await(const v of source)batch.push(v),batch.length===size&&(yield batch,batch=[]);batch.length&&(yield batch)}():function*(){let batch=[];for(const v of source)batch.push(v),batch.length===size&&(yield batch,batch=[]);batch.length&&(yield batch)}()},zip:(...sources)=>(sources.forEach(s=>guardIterable("iter.zip",s)),sources.some(isAsyncIterable)?async function*(){const its=sources.map(s=>isAsyncIterable(s)?s[Symbol.asyncIterator]():s[Symbol.iterator]());try{for(;;){const results=await Promise.all(its.map(it=>it.next()));if(results.some(r=>r.done))return;yield results.map(r=>r.value)}}finally{await Promise.all(its.map(it=>it.return&&it.return()))}}():function*(){const its=sources.map(s=>s[Symbol.iterator]());try{for(;;){const results=its.map(it=>it.next());if(results.some(r=>r.done))return;yield results.map(r=>r.value)}}finally{its.forEach(it=>it.return&&it.return())}}()),unique:(source,by=identity)=>(guardIterable("iter.unique",source),guard("iter.unique",{by:by},{by:"function"}),isAsyncIterable(source)?async function*(){const seen=createLookup("iter.unique",{by:by});for await(const v of source)seen.addNew(v)&&(yield v)}():function*(){const seen=createLookup("iter.unique",{by:by});for(const v of source)seen.addNew(v)&&(yield v)}()),buffer(source,size){if(guardIterable("iter.buffer",source),guard("iter.buffer",{size:size},{size:"number"}),!Number.isInteger(size)||size<=0)throw new RangeError("Primux/iter.buffer: size must be a positive integer");return isAsyncIterable(source)?async function*(){const it=source[Symbol.asyncIterator](),ahead=[],pull=()=>{const p=it.next();p.catch(noop),ahead.push(p)};try{for(let i=0;i<size;i++)pull();for(;ahead.length;){const r=await ahead.shift();if(r.done)return;pull(),yield r.value}}finally{it.return&&await it.return()}}():iter.map(source,identity)},merge:(...sources)=>(sources.forEach(s=>guardIterable("iter.merge",s)),sources.some(isAsyncIterable)?async function*(){const its=sources.map(s=>isAsyncIterable(s)?s[Symbol.asyncIterator]():s[Symbol.iterator]()),pending=new Map,pull=i=>pending.set(i,Promise.resolve(its[i].next()).then(r=>({r:r,i:i})));its.forEach((_,i)=>pull(i));try{for(;pending.size;){const{r:r,i:i}=await Promise.race(pending.values());r.done?pending.delete(i):(pull(i),yield r.value)}}finally{for(const i of pending.keys())its[i].return&&its[i].return()}}():function*(){let its=sources.map(s=>s[Symbol.iterator]());for(;its.length;){const live=[];for(const it of its){const r=it.next();r.done||(live.push(it),yield r.value)}its=live}}()),collect:source=>(guardIterable("iter.collect",source),isAsyncIterable(source)?(async()=>{const result=[];for await(const v of source)result.push(v);return result})():Array.from(source))});function canShare(){return"undefined"!=typeof navigator&&!!navigator.share}function canVibrate(){return"undefined"!=typeof navigator&&"vibrate"in navigator}function canAccessBattery(){return"undefined"!=typeof navigator&&"getBattery"in navigator}function canNotify(){return"undefined"!=typeof window&&"Notification"in window}function canUseBluetooth(){return"undefined"!=typeof navigator&&"bluetooth"in navigator}function ensureCanvas(canvas){return guard("ensureCanvas",{canvas:canvas},{canvas:"dom"}),canvas instanceof HTMLCanvasElement}function withCtx(ctx,fn){let result;guard("withCtx",{ctx:ctx,fn:fn},{ctx:"object",fn:"function"}),ctx.save();try{result=fn()}finally{ctx.restore()}return result}function clearCanvas(ctx,width,height){guard("clearCanvas",{ctx:ctx,width:width,height:height},{ctx:"object",width:"number?",height:"number?"});const w=width??ctx.canvas.width,h=height??ctx.canvas.height;ctx.clearRect(0,0,w,h)}return Object.freeze({once:function once(fn){guard("once",{fn:fn},{fn:"function"});let result,called=!1;return function(...args){return called||(called=!0,result=fn.apply(this,args)),result}},noop:noop,identity:identity,debounce:debounce,throttle:function throttle(fn,delay,options={}){guard("throttle",{fn:fn,delay:delay,options:options},{fn:"function",delay:"number",options:"object?"});const{leading:leading=!0,trailing:trailing=!0,frame:frame=!1}=options;if(guard("throttle",{leading:leading,trailing:trailing,frame:frame},{leading:"boolean",trailing:"boolean",frame:"boolean"}),!frame||"function"!=typeof requestAnimationFrame)return debounce(fn,delay,{leading:leading,trailing:trailing,maxWait:delay});let frameId,lastArgs,lastThis,result,latest;const waiting=createWaitQueue();function invoke(sync){const args=lastArgs,context=lastThis;lastArgs=lastThis=void 0;try{result=fn.apply(context,args)}catch(err){if(waiting.reject(err),!sync)return;throw latest.catch(noop),err}waiting.resolve(result)}function frameExpired(){frameId=void 0,trailing&&lastArgs?(invoke(),frameId=requestAnimationFrame(frameExpired)):(lastArgs=lastThis=void 0,waiting.resolve(result))}function throttled(...args){lastArgs=args,lastThis=this;const promise=waiting.add();return latest&&latest.catch(noop),latest=promise,void 0===frameId&&(frameId=requestAnimationFrame(frameExpired),leading&&invoke(!0)),promise}return throttled.cancel=function(){void 0!==frameId&&cancelAnimationFrame(frameId),lastArgs=lastThis=frameId=void 0,waiting.resolve(void 0)},throttled.flush=function(){return void 0!==frameId&&(cancelAnimationFrame(frameId),frameId=void 0,trailing&&lastArgs?invoke(!0):waiting.resolve(result)),result},throttled.pending=function(){return void 0!==frameId},throttled},rateLimit:function rateLimit(fn,options){guard("rateLimit",{fn:fn,options:options},{fn:"function",options:"object"});const{limit:limit,interval:interval,algorithm:algorithm="token-bucket",maxQueue:maxQueue=1/0,dropPolicy:dropPolicy="reject"}=options;if(guard("rateLimit",{limit:limit,interval:interval,algorithm:algorithm,maxQueue:maxQueue,dropPolicy:dropPolicy},{limit:"number",interval:"number",algorithm:"string",maxQueue:"number",dropPolicy:"string"}),!Number.isInteger(limit)||limit<1)throw new RangeError("Primux/rateLimit(fn, options): limit should be a positive integer");if(!Number.isFinite(interval)||interval<=0)throw new RangeError("Primux/rateLimit(fn, options): interval should be a positive finite number");if(maxQueue!==1/0&&(!Number.isInteger(maxQueue)||maxQueue<0))throw new RangeError("Primux/rateLimit(fn, options): maxQueue should be a non-negative integer");if(!["token-bucket","sliding-window"].includes(algorithm))throw new RangeError('Primux/rateLimit(fn, options): algorithm must be "token-bucket" or "sliding-window"');if(!["reject","drop-oldest"].includes(dropPolicy))throw new RangeError('Primux/rateLimit(fn, options): dropPolicy must be "reject" or "drop-oldest"');const queue=[],starts=[];let timerId,tokens=limit,refilledAt=Date.now();function take(now){if("sliding-window"===algorithm){for(;starts.length&&starts[0]<=now-interval;)starts.shift();return starts.length>=limit?starts[0]+interval-now:(starts.push(now),0)}return tokens=Math.min(limit,tokens+(now-refilledAt)*limit/interval),refilledAt=now,tokens<1?(1-tokens)*interval/limit:(tokens--,0)}function drain(){for(timerId=void 0;queue.length;){const wait=take(Date.now());if(wait>0)return void(timerId=setTimeout(drain,Math.ceil(wait)));const{context:context,args:args,resolve:resolve,reject:reject}=queue.shift();new Promise(run=>run(fn.apply(context,args))).then(resolve,reject)}}function limited(...args){if(0===queue.length&&0===take(Date.now()))return new Promise(run=>run(fn.apply(this,args)));if(queue.length>=maxQueue){if("reject"===dropPolicy||0===maxQueue)return Promise.reject(new RateLimitError("Primux/rateLimit: queue is full"));rejectQuietly(queue.shift(),new RateLimitError("Primux/rateLimit: dropped from a full queue"))}const call={context:this,args:args};return call.promise=new Promise((resolve,reject)=>{call.resolve=resolve,call.reject=reject}),queue.push(call),void 0===timerId&&drain(),call.promise}return limited.queued=function(){return queue.length},limited.clear=function(){clearTimeout(timerId),timerId=void 0,queue.splice(0).forEach(call=>rejectQuietly(call,new RateLimitError("Primux/rateLimit: queue was cleared")))},limited},RateLimitError:RateLimitError,memoize:function memoize(fn,options){guard("memoize",{fn:fn,options:options},{fn:"function",options:"function|object?"});const{resolver:resolver,maxSize:maxSize=1/0,ttl:ttl=1/0,identity:identity=!1}="function"==typeof options?{resolver:options}:options||{};if(guard("memoize",{resolver:resolver,maxSize:maxSize,ttl:ttl,identity:identity},{resolver:"function?",maxSize:"number",ttl:"number",identity:"boolean"}),maxSize!==1/0&&(!Number.isInteger(maxSize)||maxSize<1))throw new RangeError("Primux/memoize(fn, options): maxSize should be a positive integer");if(!(ttl>0))throw new RangeError("Primux/memoize(fn, options): ttl should be a positive number");const cache=new Map,ids=new WeakMap;let nextId=0;const byReference=arg=>"function"==typeof arg||identity&&null!==arg&&"object"==typeof arg;function argKey(arg){return byReference(arg)?(ids.has(arg)||ids.set(arg,++nextId),"ref:"+ids.get(arg)):stableHash(arg)}function find(args){const key=resolver?resolver(...args):args.map(argKey).join("|"),entry=cache.get(key);return{key:key,entry:void 0!==entry&&(void 0!==resolver||function sameArgs(a,b){return a.length===b.length&&a.every((v,i)=>byReference(v)?v===b[i]:deepEqual(v,b[i]))}(entry.args,args))?entry:void 0}}function memoized(...args){const{key:key,entry:cached}=find(args),now=Date.now();if(cache.delete(key),cached&&cached.expires>now)return cache.set(key,cached),cached.value;ttl!==1/0&&function evictExpired(now){for(const[key,entry]of cache){if(entry.expires>now)break;cache.delete(key)}}(now);const value=fn.apply(this,args),entry={args:resolver?void 0:args,value:value,expires:now+ttl};return cache.set(key,entry),cache.size>maxSize&&cache.delete(cache.keys().next().value),value&&"function"==typeof value.then&&value.then(null,()=>{cache.get(key)===entry&&cache.delete(key)}),value}return memoized.cache={clear(){cache.clear()},delete(...args){const{key:key,entry:entry}=find(args);return void 0!==entry&&cache.delete(key)},has(...args){const{entry:entry}=find(args);return void 0!==entry&&entry.expires>Date.now()},get size(){return cache.size}},memoized},retry:function retry(fn,policy){guard("retry",{fn:fn,policy:policy},{fn:"function",policy:"number|object"});const p=resolveRetryPolicy("retry(fn, policy)",policy);let attempts=0;for(;attempts<p.attempts;){throwIfAborted(p.signal);try{return fn()}catch(err){if(attempts++,attempts>=p.attempts||!p.shouldRetry(err,attempts))throw err;p.onRetry&&p.onRetry({error:err,attempt:attempts,delay:0})}}},retryAsync:async function retryAsync(fn,policy){guard("retryAsync",{fn:fn,policy:policy},{fn:"function",policy:"number|object"});const p=resolveRetryPolicy("retryAsync(fn, policy)",policy);let attempts=0,wait=0;for(;attempts<p.attempts;){throwIfAborted(p.signal);try{return await fn()}catch(err){if(attempts++,attempts>=p.attempts||err instanceof CircuitOpenError||!p.shouldRetry(err,attempts))throw err;wait=retryDelay(p,attempts,wait),p.onRetry&&p.onRetry({error:err,attempt:attempts,delay:wait}),wait>0&&await p.clock.sleep(wait,p.signal)}}},time:function time(fn,label){guard("time",{fn:fn,label:label},{fn:"function",label:"string?"});const start=performance.now();fn();const duration=performance.now()-start+"ms";return label?`${label} : ${duration}`:duration},sleep:function sleep(ms){return guard("sleep",{ms:ms},{ms:"number"}),new Promise(resolve=>setTimeout(resolve,ms))},timeout:timeout,TimeoutError:TimeoutError,pipe:pipe,compose:function compose(...fns){if(0===fns.length)throw new Error("compose(): parameter should not be empty");return fns.forEach(fn=>guard("compose",{fn:fn},{fn:"function"})),pipe(...[...fns].reverse())},pipeAsync:pipeAsync,composeAsync:function composeAsync(...fns){if(0===fns.length)throw new Error("composeAsync(): parameter should not be empty");return fns.forEach(fn=>guard("composeAsync",{fn:fn},{fn:"function"})),pipeAsync(...[...fns].reverse())},spread:function spread(fn){return guard("spread",{fn:fn},{fn:"function"}),function(args){return guard("spread",{args:args},{args:"array"}),fn.apply(this,args)}},before:function before(fn,times){guard("before",{fn:fn,times:times},{fn:"function",times:"number"});let lastResult,count=0;return function(...args){return count<times&&(lastResult=fn.apply(this,args),count++),lastResult}},after:function after(fn,times){guard("after",{fn:fn,times:times},{fn:"function",times:"number"});let count=0;return function(...args){if(count++,count>=times)return fn.apply(this,args)}},series:async function series(fns,initialValue){guard("series",{fns:fns,initialValue:initialValue},{fns:"array",initialValue:"any?"});let result=initialValue;for(const fn of fns)guard("series",{fn:fn},{fn:"function"}),result=await fn(result);return result},parallel:async function parallel(fns,options={}){guard("parallel",{fns:fns,options:options},{fns:"array",options:"object?"});const{concurrency:concurrency=1/0,settled:settled=!1}=options;return guard("parallel",{concurrency:concurrency,settled:settled},{concurrency:"number",settled:"boolean"}),guardLimit(concurrency,"parallel(fns, options?)"),fns.forEach(fn=>guard("parallel",{fn:fn},{fn:"function"})),runPool(fns.length,concurrency,i=>fns[i](),settled)},mapLimit:async function mapLimit(items,limit,fn,options={}){guard("mapLimit",{items:items,limit:limit,fn:fn,options:options},{items:"array",limit:"number",fn:"function",options:"object?"});const{settled:settled=!1}=options;return guard("mapLimit",{settled:settled},{settled:"boolean"}),guardLimit(limit,"mapLimit(items, limit, fn, options?)"),runPool(items.length,limit,i=>fn(items[i],i,items),settled)},tryCatch:function tryCatch(fn,fallback){function attempt(run,onError){let value;try{value=run()}catch(err){return onError(err)}return value&&"function"==typeof value.then?Promise.resolve(value).then(Result.ok,onError):Result.ok(value)}return guard("tryCatch",{fn:fn,fallback:fallback},{fn:"function",fallback:"function?"}),function(...args){return attempt(()=>fn.apply(this,args),err=>"function"==typeof fallback?attempt(()=>fallback(err,...args),Result.err):Result.err(err))}},Result:Result,lazy:function lazy(fn){return guard("lazy",{fn:fn},{fn:"function"}),function(...args){return fn(...args)}},tap:(fn=console.log)=>value=>(guard("tap",{fn:fn},{fn:"function"}),"function"==typeof fn&&fn(value),value),asyncTap:(fn=console.log)=>async value=>(guard("asyncTap",{fn:fn},{fn:"function"}),"function"==typeof fn&&await fn(value),value),retryUntil:async function retryUntil(fn,condition,policy={}){guard("retryUntil",{fn:fn,condition:condition,policy:policy},{fn:"function",condition:"function",policy:"object?"});const p=resolveRetryPolicy("retryUntil(fn, condition, policy)",{...policy,attempts:policy.attempts??policy.maxAttempts},{attempts:5,delay:500});let result,error,attempt=0,wait=0,failed=!1;for(;attempt<p.attempts;){throwIfAborted(p.signal),attempt++,failed=!1;try{result=await fn()}catch(err){if(!policy.shouldRetry||err instanceof CircuitOpenError||!p.shouldRetry(err,attempt))throw err;error=err,failed=!0}if(!failed&&condition(result))return result;if(attempt>=p.attempts)break;wait=retryDelay(p,attempt,wait),p.onRetry&&p.onRetry(failed?{error:error,attempt:attempt,delay:wait}:{result:result,attempt:attempt,delay:wait}),wait>0&&await p.clock.sleep(wait,p.signal)}if(failed)throw error;throw new Error(`retryUntil: condition not met after ${p.attempts} attempts`)},circuitBreaker:function circuitBreaker(fn,options={}){guard("circuitBreaker",{fn:fn,options:options},{fn:"function",options:"object?"});const{failureThreshold:failureThreshold=5,rollingWindow:rollingWindow=6e4,resetTimeout:resetTimeout=3e4,isFailure:isFailure=()=>!0}=options;if(guard("circuitBreaker",{failureThreshold:failureThreshold,rollingWindow:rollingWindow,resetTimeout:resetTimeout,isFailure:isFailure},{failureThreshold:"number",rollingWindow:"number",resetTimeout:"number",isFailure:"function"}),!Number.isInteger(failureThreshold)||failureThreshold<1)throw new RangeError("Primux/circuitBreaker(fn, options): failureThreshold should be a positive integer");if(!(rollingWindow>0&&resetTimeout>=0))throw new RangeError("Primux/circuitBreaker(fn, options): rollingWindow and resetTimeout should be non-negative numbers");const hasFallback="fallback"in options,emitter=createEmitter({events:["state","open","half-open","closed"]});let state="closed",failures=[],openedAt=0,trialRunning=!1;function transition(next){if(state===next)return;const previous=state;state=next,emitter.emit("state",next,previous),emitter.emit(next)}function currentState(){return"open"===state&&Date.now()-openedAt>=resetTimeout&&transition("half-open"),state}function trip(){openedAt=Date.now(),failures=[],transition("open")}function fail(err,args){if(!hasFallback)throw err;return"function"==typeof options.fallback?options.fallback(err,...args):options.fallback}async function breaker(...args){const current=currentState();if("open"===current||"half-open"===current&&trialRunning)return fail(new CircuitOpenError("Primux/circuitBreaker: circuit is open"),args);const trial="half-open"===current;trial&&(trialRunning=!0);try{const result=await fn.apply(this,args);return trial&&(failures=[],transition("closed")),result}catch(err){if(!isFailure(err))throw err;return trial?trip():function recordFailure(){const now=Date.now();failures=failures.filter(t=>now-t<rollingWindow),failures.push(now),failures.length>=failureThreshold&&trip()}(),fail(err,args)}finally{trial&&(trialRunning=!1)}}return breaker.state=function(){return currentState()},breaker.reset=function(){failures=[],trialRunning=!1,transition("closed")},breaker.on=emitter.on,breaker.once=emitter.once,breaker.off=emitter.off,breaker},CircuitOpenError:CircuitOpenError,ensureCanvas:ensureCanvas,getCtx:function getCtx(canvas){if(guard("getCtx",{canvas:canvas},{canvas:"dom"}),!ensureCanvas(canvas))return null;const ctx=canvas.getContext("2d");return ctx||console.warn("getCtx: 2D context not supported"),ctx},fixDPI:function fixDPI(canvas,ctx){if(guard("fixDPI",{canvas:canvas,ctx:ctx},{canvas:"dom",ctx:"object"}),!ctx)return;const dpi=window.devicePixelRatio||1;canvas.width=canvas.clientWidth*dpi,canvas.height=canvas.clientHeight*dpi,ctx.scale(dpi,dpi)},resizeCanvas:function resizeCanvas(canvas,width,height){guard("resizeCanvas",{canvas:canvas,width:width,height:height},{canvas:"dom",width:"number?",height:"number?"});const w=width??canvas.clientWidth,h=height??canvas.clientHeight;return canvas.width=w,canvas.height=h,{width:w,height:h}},withCtx:withCtx,setStyle:function setStyle(ctx,style={}){guard("setStyle",{ctx:ctx,style:style},{ctx:"object",style:"object?"});const{fill:fill,stroke:stroke,lineWidth:lineWidth,font:font,alpha:alpha}=style;fill&&(ctx.fillStyle=fill),stroke&&(ctx.strokeStyle=stroke),lineWidth&&(ctx.lineWidth=lineWidth),font&&(ctx.font=font),void 0!==alpha&&(ctx.globalAlpha=alpha)},drawRect:function drawRect(ctx,{x:x,y:y,w:w,h:h,fill:fill,stroke:stroke,lineWidth:lineWidth=1}){guard("drawRect",{ctx:ctx,x:x,y:y,w:w,h:h,fill:fill,stroke:stroke,lineWidth:lineWidth},{ctx:"object",x:"number",y:"number",w:"number",h:"number",fill:"string?",stroke:"string?",lineWidth:"number?"}),withCtx(ctx,()=>{fill&&ctx.fillRect(x,y,w,h),stroke&&(ctx.lineWidth=lineWidth,ctx.strokeRect(x,y,w,h))})},drawCircle:function drawCircle(ctx,{x:x,y:y,r:r,fill:fill,stroke:stroke,lineWidth:lineWidth=1}){guard("drawCircle",{ctx:ctx,x:x,y:y,r:r,fill:fill,stroke:stroke,lineWidth:lineWidth},{ctx:"object",x:"number",y:"number",r:"number",fill:"string?",stroke:"string?",lineWidth:"number?"}),withCtx(ctx,()=>{ctx.beginPath(),ctx.arc(x,y,r,0,2*Math.PI),fill&&ctx.fill(),stroke&&(ctx.lineWidth=lineWidth,ctx.stroke())})},drawLine:function drawLine(ctx,{x1:x1,y1:y1,x2:x2,y2:y2,stroke:stroke="#000",width:width=1}){guard("drawLine",{ctx:ctx,x1:x1,y1:y1,x2:x2,y2:y2,stroke:stroke,width:width},{ctx:"object",x1:"number",y1:"number",x2:"number",y2:"number",stroke:"string?",width:"number?"}),withCtx(ctx,()=>{ctx.strokeStyle=stroke,ctx.lineWidth=width,ctx.beginPath(),ctx.moveTo(x1,y1),ctx.lineTo(x2,y2),ctx.stroke()})},drawPath:function drawPath(ctx,points,opts={}){if(guard("drawPath",{ctx:ctx,points:points,opts:opts},{ctx:"object",points:"array",opts:"object?"}),!points.length)return;const{stroke:stroke,fill:fill,lineWidth:lineWidth=1,close:close=!1}=opts;withCtx(ctx,()=>{ctx.beginPath(),ctx.moveTo(points[0].x,points[0].y),points.slice(1).forEach(p=>ctx.lineTo(p.x,p.y)),close&&ctx.closePath(),fill&&(ctx.fillStyle=fill,ctx.fill()),stroke&&(ctx.strokeStyle=!0===stroke?"#000":stroke,ctx.lineWidth=lineWidth,ctx.stroke())})},drawText:function drawText(ctx,{text:t,x:x,y:y,size:size=16,font:font="sans-serif",color:color="#000",align:align="left"}){guard("drawText",{ctx:ctx,t:t,x:x,y:y,size:size,font:font,color:color,align:align},{ctx:"object",t:"string",x:"number",y:"number"}),withCtx(ctx,()=>{ctx.fillStyle=color,ctx.textAlign=align,ctx.font=`${size}px ${font}`,ctx.fillText(t,x,y)})},measureText:function measureText(ctx,textValue){return guard("measureText",{ctx:ctx,textValue:textValue},{ctx:"object",textValue:"string"}),ctx.measureText(textValue)?.width??0},getMousePos:function getMousePos(canvas,evt){guard("getMousePos",{canvas:canvas,evt:evt},{canvas:"dom",evt:"object"});const rect=canvas.getBoundingClientRect();return{x:evt.clientX-rect.left,y:evt.clientY-rect.top}},getTouchPos:function getTouchPos(canvas,touch){guard("getTouchPos",{canvas:canvas,touch:touch},{canvas:"dom",touch:"object"});const rect=canvas.getBoundingClientRect();return{x:touch.clientX-rect.left,y:touch.clientY-rect.top}},clearCanvas:clearCanvas,destroyCanvas:function destroyCanvas(canvas){guard("destroyCanvas",{canvas:canvas},{canvas:"dom"});const ctx=canvas.getContext("2d");ctx&&clearCanvas(ctx),canvas.width=0,canvas.height=0},canShare:canShare,share:function share(data){return guard("share",{data:data},{data:"object"}),canShare()?navigator.share(data):Promise.reject("Share API not supported")},canVibrate:canVibrate,vibrate:function vibrate(pattern=200){return guard("vibrate",{pattern:pattern},{pattern:"number"}),!!canVibrate()&&navigator.vibrate(pattern)},canAccessBattery:canAccessBattery,getBatteryInfo:async function getBatteryInfo(){if(!canAccessBattery())return null;const battery=await navigator.getBattery();return{level:Math.round(100*battery.level),charging:battery.charging,chargingTime:battery.chargingTime===1/0?null:Math.round(battery.chargingTime/60),dischargingTime:battery.dischargingTime===1/0?null:Math.round(battery.dischargingTime/60)}},canNotify:canNotify,requestNotificationPermission:function requestNotificationPermission(){return canNotify()?Notification.requestPermission():Promise.resolve("denied")},notify:async function notify(title,options={},swPath=null){if(guard("notify",{title:title,options:options},{title:"string",options:"object?"}),!("Notification"in window))return null;if("granted"!==Notification.permission){if("granted"!==await Notification.requestPermission())return null}if("serviceWorker"in navigator){if(swPath){await navigator.serviceWorker.getRegistration()||await navigator.serviceWorker.register(swPath)}return(await navigator.serviceWorker.ready).showNotification(title,options)}return new Notification(title,options)},canUseBluetooth:canUseBluetooth,requestBluetoothDevice:function requestBluetoothDevice(options){if(guard("requestBluetoothDevice",{options:options},{options:"object"}),!canUseBluetooth())return Promise.reject(new Error("Bluetooth API not supported"));const hasFilters=Array.isArray(options.filters),hasAcceptAll=!0===options.acceptAllDevices;return hasFilters||hasAcceptAll?hasFilters&&hasAcceptAll?Promise.reject(new Error("Cannot use both 'filters' and 'acceptAllDevices'.")):navigator.bluetooth.requestDevice(options):Promise.reject(new Error("Either 'filters' or 'acceptAllDevices: true' is required."))},getNetworkInfo:function getNetworkInfo(){const conn=navigator.connection||navigator.mozConnection||navigator.webkitConnection;return conn?{effectiveType:conn.effectiveType,downlink:conn.downlink,rtt:conn.rtt,saveData:conn.saveData}:null},canUseMediaDevices:function canUseMediaDevices(){return"undefined"!=typeof navigator&&!(!navigator.mediaDevices||!navigator.mediaDevices.getUserMedia)},canGeolocate:function canGeolocate(){return"undefined"!=typeof navigator&&"geolocation"in navigator},queryPermission:function queryPermission(name){return guard("queryPermission",{name:name},{name:"string"}),navigator.permissions?navigator.permissions.query({name:name}):Promise.resolve(null)},isProbablyOnline:function isProbablyOnline(){return navigator.onLine||performance.getEntriesByType("resource").length>0},safeJSONParse:function safeJSONParse(str,fallback=null){if("string"!=typeof str||!str.trim())return fallback;try{return JSON.parse(str)??fallback}catch{return fallback}},times:function times(n,fn){if(guard("times",{n:n,fn:fn},{n:"number",fn:"function"}),n<0)throw new TypeError("times(): n must be a positive number");for(let i=0;i<n;i++)fn(i)},loopUntil:function loopUntil(fn,condition){let result;guard("loopUntil",{fn:fn,condition:condition},{fn:"function",condition:"function"});do{result=fn()}while(!condition(result))},iter:iter,isTouchDevice:isTouchDevice,isTouchPhone:function isTouchPhone(){return isTouchDevice()&&matchMedia("(pointer: coarse)").matches&&matchMedia("(hover: none)").matches},isMouseDevice:function isMouseDevice(){return matchMedia("(pointer: fine)").matches},isHybridDevice:function isHybridDevice(){return isTouchDevice()&&matchMedia("(pointer: fine)").matches},supportsHover:function supportsHover(){return matchMedia("(hover: hover)").matches},supportsCoarsePointer:function supportsCoarsePointer(){return matchMedia("(pointer: coarse)").matches},prefersReducedMotion:function prefersReducedMotion(){return matchMedia("(prefers-reduced-motion: reduce)").matches},prefersDarkMode:function prefersDarkMode(){return matchMedia("(prefers-color-scheme: dark)").matches},prefersLightMode:function prefersLightMode(){return matchMedia("(prefers-color-scheme: light)").matches},setData:function setData(key,data,type="local"){guard("setData",{key:key,data:data,type:type},{key:"string",data:"object|string",type:"string?"});const storage=resolveStorage(type,"setData(key, data, type?)"),isPlainObject=isObject(data);storage.setItem(key,isPlainObject?JSON.stringify(data):data)},getData:function getData(key,type="local"){guard("getData",{key:key,type:type},{key:"string",type:"string?"});const value=resolveStorage(type,"getData(key, type?)").getItem(key);if(null===value)return null;try{return JSON.parse(value)}catch{return value}},removeData:function removeData(key,type="local"){guard("removeData",{key:key,type:type},{key:"string",type:"string?"}),resolveStorage(type,"removeData(key, type?)").removeItem(key)},clearAllData:function clearAllData(type="local"){guard("clearAllData",{type:type},{type:"string?"}),resolveStorage(type,"clearAllData(type?)").clear()},$id:function $id(s){return ensureDOM("$id"),guard("$id",{s:s},{s:"string"}),document.getElementById(s)},$qs:function $qs(s){return ensureDOM("$qs"),guard("$qs",{s:s},{s:"string"}),document.querySelector(s)},$qsa:function $qsa(s){return ensureDOM("$qsa"),guard("$qsa",{s:s},{s:"string"}),document.querySelectorAll(s)},$class:function $class(s){return ensureDOM("$class"),guard("$class",{s:s},{s:"string"}),document.getElementsByClassName(s)||null},$tag:function $tag(s){return ensureDOM("$tag"),guard("$tag",{s:s},{s:"string"}),document.getElementsByTagName(s)||null},$name:function $name(s){return ensureDOM("$name"),guard("$name",{s:s},{s:"string"}),document.getElementsByName(s)||null},siblings:function siblings(el){return ensureDOM("siblings"),guard("siblings",{el:el},{el:"dom"}),el.parentNode?Array.from(el.parentNode.children).filter(child=>child!==el):[]},setHTML:function setHTML(el,html){ensureDOM("setHTML"),guard("setHTML",{el:el,html:html},{el:"dom",html:"string"}),el.innerHTML=html},createElement:createElement,empty:function empty(el){ensureDOM("empty"),guard("empty",{el:el},{el:"dom"}),el.innerHTML=""},wrap:function wrap(target,wrapper){return ensureDOM("wrap"),guard("wrap",{target:target,wrapper:wrapper},{target:"dom",wrapper:"dom"}),target.parentNode&&target.parentNode.insertBefore(wrapper,target),wrapper.appendChild(target),wrapper},unwrap:function unwrap(wrapper){ensureDOM("unwrap"),guard("unwrap",{wrapper:wrapper},{wrapper:"dom"});const parent=wrapper.parentNode;if(!parent)return;Array.from(wrapper.childNodes).forEach(child=>parent.insertBefore(child,wrapper)),wrapper.remove()},addClass:function addClass(el,...classes){ensureDOM("addClass");const elements=el instanceof HTMLElement?[el]:el instanceof NodeList||Array.isArray(el)?Array.from(el):[];if(0===elements.length)throw new TypeError("Primux/addClass: el should be HTMLElement, NodeList or array of HTMLElements");const allClasses=classes.flat(1/0);return allClasses.forEach(c=>guard("addClass",{c:c},{c:"string"})),elements.forEach(element=>element.classList.add(...allClasses)),el},removeClass:function removeClass(el,...classes){ensureDOM("removeClass");const elements=el instanceof HTMLElement?[el]:el instanceof NodeList||Array.isArray(el)?Array.from(el):[];if(0===elements.length)throw new TypeError("Primux/removeClass: el should be HTMLElement, NodeList or array of HTMLElements");const allClasses=classes.flat(1/0);return allClasses.forEach(c=>{if("string"!=typeof c)throw new TypeError("Primux/removeClass: class must be string")}),elements.forEach(element=>element.classList.remove(...allClasses)),el},hasClass:function hasClass(el,...classes){ensureDOM("hasClass");const allClasses=classes.flat(1/0);if(!allClasses.every(c=>"string"==typeof c))throw new TypeError("Primux/hasClass: all classes must be strings");return allClasses.every(c=>el.classList.contains(c))},data:function data(el,key,value){ensureDOM("data"),guard("data",{el:el,key:key},{el:"dom",key:"string",key:"any"});const attrName=`data-${key.replace(/[A-Z]/g,m=>"-"+m.toLowerCase())}`;return void 0===value?el.getAttribute(attrName):null===value?el.removeAttribute(attrName):void el.setAttribute(attrName,value)},on:function on(elements,events,handler,option={}){ensureDOM("on"),guard("on",{handler:handler,option:option},{handler:"function",option:"object?"});const{once:once=!1}=option;guard("on",{once:once},{once:"boolean"});const elArr=normalizeToArray(elements,"on(elements, events, handler, options?)"),eventArr=normalizeToArray(events,"on(elements, events, handler, options?)");for(const el of elArr){guard("on",{el:el},{el:"dom"});for(const event of eventArr)guard("on",{event:event},{event:"string"}),el.addEventListener(event,handler,{once:once})}},off:function off(elements,events,handler){ensureDOM("off"),guard("off",{handler:handler},{handler:"function"});const elArr=normalizeToArray(elements,"off(elements, events, handler)"),eventArr=normalizeToArray(events,"off(elements, events, handler)");for(const el of elArr){guard("off",{el:el},{el:"dom"});for(const event of eventArr)guard("off",{event:event},{event:"string"}),el.removeEventListener(event,handler)}},delegate:function delegate(root,event,selector,handler){ensureDOM("delegate"),guard("delegate",{root:root,event:event,selector:selector,handler:handler},{root:"dom",event:"string",selector:"string",handler:"function"}),root.addEventListener(event,e=>{const target=e.target.closest(selector);target&&root.contains(target)&&handler.call(target,e)})},trigger:trigger,triggerPairs:function triggerPairs(pairs){for(const[el,event]of pairs)trigger(el,event)},css:function css(elements,prop,value){ensureDOM("css");const elArr=normalizeToArray(elements,"css(elements, prop, value)");for(const el of elArr){if(guard("css",{el:el},{el:"dom"}),"string"==typeof prop&&void 0===value)return getComputedStyle(el).getPropertyValue(prop);if("string"!=typeof prop){if(!isObject(prop))throw new TypeError("css(): invalid parameter");for(const key in prop)el.style[key]=prop[key]}else el.style[prop]=value}},getStyle:function getStyle(el,property){return ensureDOM("getStyle"),guard("getStyle",{el:el,property:property},{el:"dom",property:"string"}),getComputedStyle(el).getPropertyValue(property)},hide:function hide(...elements){ensureDOM("hide");const elArr=normalizeToArray(elements.flat(),"hide(elements)");for(const el of elArr)guard("hide",{el:el},{el:"dom"}),"none"!==el.style.display&&(el.dataset._display=getComputedStyle(el).getPropertyValue("display")),el.style.display="none"},show:function show(...elements){ensureDOM("show");const elArr=normalizeToArray(elements.flat(),"show(elements)");for(const el of elArr)guard("show",{el:el},{el:"dom"}),el.style.display=el.dataset._display??"",delete el.dataset._display},toggleDisplay:function toggleDisplay(...elements){ensureDOM("toggleDisplay");const elArr=normalizeToArray(elements.flat(),"toggleDisplay(elements)");for(const el of elArr){guard("toggleDisplay",{el:el},{el:"dom"});"none"===getComputedStyle(el).getPropertyValue("display")?(el.style.display=el.dataset._display??"",delete el.dataset._display):(el.dataset._display=getComputedStyle(el).getPropertyValue("display"),el.style.display="none")}},addAnimation:function addAnimation(...elements){ensureDOM("addAnimation");const className=elements.pop();guard("addAnimation",{className:className},{className:"string"});const elArr=normalizeToArray(elements.flat(),"addAnimation (elements)");for(const el of elArr)guard("addAnimation",{el:el},{el:"dom"}),el.classList.add(className)},removeAnimation:function removeAnimation(...elements){ensureDOM("removeAnimation");const className=elements.pop();guard("removeAnimation",{className:className},{className:"string"});const elArr=normalizeToArray(elements.flat(),"removeAnimation(elements)");for(const el of elArr)guard("removeAnimation",{el:el},{el:"dom"}),el.classList.remove(className)},offset:function offset(el){ensureDOM("offset"),guard("offset",{el:el},{el:"dom"});const rect=el.getBoundingClientRect();return{top:rect.top+window.scrollY,left:rect.left+window.scrollX}},position:function position(el){return ensureDOM("position"),guard("position",{el:el},{el:"dom"}),{top:el.offsetTop,left:el.offsetLeft}},width:function width(el){return ensureDOM("width"),guard("width",{el:el},{el:"dom"}),parseFloat(getComputedStyle(el).width)},height:function height(el){return ensureDOM("height"),guard("height",{el:el},{el:"dom"}),parseFloat(getComputedStyle(el).height)},innerWidth:function innerWidth(el){return ensureDOM("innerWidth"),guard("innerWidth",{el:el},{el:"dom"}),el.clientWidth},innerHeight:function innerHeight(el){return ensureDOM("innerHeight"),guard("innerHeight",{el:el},{el:"dom"}),el.clientHeight},outerWidth:function outerWidth(el,includeMargin=!1){ensureDOM("outerWidth"),guard("outerWidth",{el:el},{el:"dom"});let w=el.offsetWidth;if(includeMargin){const s=getComputedStyle(el);w+=parseFloat(s.marginLeft)+parseFloat(s.marginRight)}return w},outerHeight:function outerHeight(el,includeMargin=!1){ensureDOM("outerHeight"),guard("outerHeight",{el:el},{el:"dom"});let h=el.offsetHeight;if(includeMargin){const s=getComputedStyle(el);h+=parseFloat(s.marginTop)+parseFloat(s.marginBottom)}return h},scrollTop:function scrollTop(el=window){return ensureDOM("scrollTop"),el!==window&&guard("scrollTop",{el:el},{el:"dom"}),el===window?window.scrollY:el.scrollTop},scrollLeft:function scrollLeft(el=window){return ensureDOM("scrollLeft"),el!==window&&guard("scrollLeft",{el:el},{el:"dom"}),el===window?window.scrollX:el.scrollLeft},rect:function rect(el){ensureDOM("rect"),guard("rect",{el:el},{el:"dom"});const r=el.getBoundingClientRect();return{top:r.top,left:r.left,right:r.right,bottom:r.bottom,width:r.width,height:r.height}},isInViewport:function isInViewport(el,options={}){guard("isInViewport",{el:el,options:options},{el:"dom",options:"object?"});const{partial:partial=!0,offset:offset=0}=options,r=el.getBoundingClientRect(),vw=window.innerWidth,vh=window.innerHeight,top=r.top+offset,left=r.left+offset,right=r.right-offset,bottom=r.bottom-offset;return partial?bottom>-.5&&right>-.5&&top<vh+.5&&left<vw+.5:top>=-.5&&left>=-.5&&bottom<=vh+.5&&right<=vw+.5},val:function val(el){return ensureDOM("val"),guard("val",{el:el},{el:"dom"}),"value"in el?el.value:null},setVal:function setVal(elements,value){ensureDOM("setVal");const elArr=normalizeToArray(elements,"setVal(elements, value)");for(const el of elArr){if(guard("setVal",{el:el},{el:"dom"}),!("value"in el))throw new Error("setVal(): element does not support value");el.value=null==value?"":String(value)}},isVisible:function isVisible(el,checkOpacity=!1){ensureDOM("isVisible"),guard("isVisible",{el:el,checkOpacity:checkOpacity},{el:"dom",checkOpacity:"boolean?"});const style=getComputedStyle(el);if("none"===style.display||"hidden"===style.visibility)return!1;if(checkOpacity&&0===parseFloat(style.opacity))return!1;const r=el.getBoundingClientRect();return r.width>0&&r.height>0},isHidden:function isHidden(el,checkOpacity=!1){ensureDOM("isHidden"),guard("isHidden",{el:el,checkOpacity:checkOpacity},{el:"dom",checkOpacity:"boolean?"});const style=getComputedStyle(el);if("none"===style.display||"hidden"===style.visibility)return!0;if(checkOpacity&&0===parseFloat(style.opacity))return!0;const r=el.getBoundingClientRect();return 0===r.width||0===r.height},fadeIn:function fadeIn(el,duration=300){ensureDOM("fadeIn"),guard("fadeIn",{el:el,duration:duration},{el:"dom",duration:"number?"}),duration=getDuration(duration),el.style.opacity=0,el.style.display="","none"===getComputedStyle(el).display&&(el.style.display="block");let start=null;requestAnimationFrame(function animate(ts){start||(start=ts);const progress=Math.min((ts-start)/duration,1);el.style.opacity=progress,progress<1&&requestAnimationFrame(animate)})},fadeOut:function fadeOut(el,duration=300){ensureDOM("fadeOut"),guard("fadeOut",{el:el,duration:duration},{el:"dom",duration:"number?"}),duration=getDuration(duration);const initial=parseFloat(getComputedStyle(el).opacity)||1;let start=null;requestAnimationFrame(function animate(ts){start||(start=ts);const progress=Math.min((ts-start)/duration,1);el.style.opacity=initial*(1-progress),progress<1?requestAnimationFrame(animate):(el.style.display="none",el.style.opacity="")})},slideDown:function slideDown(el,duration=300){ensureDOM("slideDown"),guard("slideDown",{el:el,duration:duration},{el:"dom",duration:"number?"}),duration=getDuration(duration),el.style.display="","none"===getComputedStyle(el).display&&(el.style.display="block");const height=el.scrollHeight;el.style.overflow="hidden",el.style.height="0px";let start=null;requestAnimationFrame(function animate(ts){start||(start=ts);const progress=Math.min((ts-start)/duration,1);el.style.height=height*progress+"px",progress<1?requestAnimationFrame(animate):(el.style.height="",el.style.overflow="")})},slideUp:function slideUp(el,duration=300){ensureDOM("slideUp"),guard("slideUp",{el:el,duration:duration},{el:"dom",duration:"number?"}),duration=getDuration(duration);const height=el.scrollHeight;el.style.height=height+"px",el.style.overflow="hidden";let start=null;requestAnimationFrame(function animate(ts){start||(start=ts);const progress=Math.min((ts-start)/duration,1);el.style.height=height*(1-progress)+"px",progress<1?requestAnimationFrame(animate):(el.style.display="none",el.style.height="",el.style.overflow="")})},copyToClipboard:async function copyToClipboard(text){guard("copyToClipboard",{text:text},{text:"string"});try{if(navigator.clipboard&&window.isSecureContext)return await navigator.clipboard.writeText(text),!0;const textarea=document.createElement("textarea");textarea.value=text,textarea.style.position="fixed",textarea.style.opacity="0",document.body.appendChild(textarea),textarea.focus(),textarea.select();const success=document.execCommand("copy");return document.body.removeChild(textarea),success}catch{return!1}},scrollTo:function scrollTo(target,options={}){ensureDOM("scrollTo");const{behavior:behavior="smooth",offset:offset=0,container:container=window}=options;if(!(container===window||container instanceof Element))throw new TypeError("scrollTo(): container must be window or DOM element");let top=0;if("number"==typeof target)top=target+offset;else{if(!(target instanceof Element))throw new TypeError("scrollTo(): target must be number or DOM element");{guard("scrollTo",{target:target},{target:"dom"});const rect=target.getBoundingClientRect();if(container===window)top=rect.top+window.pageYOffset+offset;else{if(!(container instanceof Element))throw new TypeError("scrollTo(): container must be window or DOM element");top=rect.top-container.getBoundingClientRect().top+container.scrollTop+offset}}}container===window?window.scrollTo({top:top,behavior:behavior}):container.scrollTo({top:top,behavior:behavior})},firstChild:function firstChild(el){return ensureDOM("firstChild"),guard("firstChild",{el:el},{el:"dom"}),el.firstElementChild},lastChild:function lastChild(el){return ensureDOM("lastChild"),guard("lastChild",{el:el},{el:"dom"}),el.lastElementChild},isEmail:function isEmail(str){return guard("isEmail",{str:str},{str:"string"}),/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(str)},isURL:function isURL(str){return guard("isURL",{str:str},{str:"string"}),/^(https?:\/\/)?([\w\-])+\.{1}([a-zA-Z]{2,63})([\/\w\-.?=&]*)*\/?$/.test(str)},isPhone:function isPhone(str){return guard("isPhone",{str:str},{str:"string"}),/^\+?[\d\s\-()]{7,15}$/.test(str)},isHexColor:function isHexColor(str){return guard("isHexColor",{str:str},{str:"string"}),/^#([0-9A-Fa-f]{3}|[0-9A-Fa-f]{6})$/.test(str)},isAlpha:function isAlpha(str){return guard("isAlpha",{str:str},{str:"string"}),/^[A-Za-z]+$/.test(str)},isAlphaNumeric:function isAlphaNumeric(str){return guard("isAlphaNumeric",{str:str},{str:"string"}),/^[A-Za-z0-9]+$/.test(str)},isNumeric:function isNumeric(str){return guard("isNumeric",{str:str},{str:"string"}),/^\d+$/.test(str)},matchAll:function matchAll(str,pattern){return guard("matchAll",{str:str,pattern:pattern},{str:"string",pattern:"RegExp"}),[...str.matchAll(pattern)].map(m=>m[0])},replaceAll:function replaceAll(str,pattern,replacement){guard("replaceAll",{str:str,pattern:pattern,replacement:replacement},{str:"string",pattern:"RegExp|string",replacement:"string"});const regex=pattern instanceof RegExp?new RegExp(pattern.source,"g"):new RegExp(pattern,"g");return str.replace(regex,replacement)},testPattern:function testPattern(str,pattern){return guard("testPattern",{str:str,pattern:pattern},{str:"string",pattern:"RegExp"}),pattern.test(str)},clamp:function clamp(value,min,max){return guard("clamp",{value:value,min:min,max:max},{value:"number",min:"number",max:"number"}),value<min?min:value>max?max:value},safeDivide:function safeDivide(a,b,defaultValue=0){if(guard("safeDivide",{a:a,b:b,defaultValue:defaultValue},{a:"number",b:"number",defaultValue:"number?"}),0===b)return defaultValue;const result=a/b;return isNaN(result)?defaultValue:result},safeAdd:function safeAdd(a,b){guard("safeAdd",{a:a,b:b},{a:"number",b:"number"});const factor=10**Math.max(decimalPlaces(a),decimalPlaces(b));return(Math.round(a*factor)+Math.round(b*factor))/factor},safeSub:function safeSub(a,b){guard("safeSub",{a:a,b:b},{a:"number",b:"number"});const factor=10**Math.max(decimalPlaces(a),decimalPlaces(b));return(Math.round(a*factor)-Math.round(b*factor))/factor},safeMultiply:function safeMultiply(a,b){guard("safeMultiply",{a:a,b:b},{a:"number",b:"number"});const dp=decimalPlaces(a)+decimalPlaces(b);return Math.round(a*b*10**dp)/10**dp},round:function round(value,decimals=0){guard("round",{value:value,decimals:decimals},{value:"number",decimals:"number?"});const factor=Math.pow(10,decimals);return Math.round(value*factor)/factor},random:function random(p1,p2,precision=0,options){if(Array.isArray(p1)){guard("random",{p1:p1,p2:p2},{p1:"array",p2:"object?"});const{rng:rng}=randomOptions("random",0,p2);if(0===p1.length)return;return p1[Math.floor(rng()*p1.length)]}let rng;guard("random",{p1:p1,p2:p2},{p1:"number",p2:"number"}),({precision:precision,rng:rng}=randomOptions("random",precision,options));let min=p1,max=p2;if(min>max&&([min,max]=[max,min]),precision>0){const rand=rng()*(max-min)+min;return Number(rand.toFixed(precision))}return Math.floor(rng()*(max-min+1))+min},between:function between(value,min,max,inclusive=!0){return guard("between",{value:value,min:min,max:max,inclusive:inclusive},{value:"number",min:"number",max:"number",inclusive:"boolean?"}),min>max&&([min,max]=[max,min]),inclusive?value>=min&&value<=max:value>min&&value<max},toFixedNumber:function toFixedNumber(value,decimal){if(guard("toFixedNumber",{value:value,decimal:decimal},{value:"number",decimal:"number"}),!Number.isInteger(decimal)||decimal<0)throw new Error("toFixedNumber(): decimal must be non-negative integer");return Number(value.toFixed(decimal))},percent:function percent(value,total,precision=0){if(guard("percent",{value:value,total:total,precision:precision},{value:"number",total:"number",precision:"number?"}),!Number.isInteger(precision)||precision<0)throw new Error("percent(): precision must be non-negative integer");return 0===total?0:Number((value/total*100).toFixed(precision))},almostEqual:function almostEqual(a,b,epsilon=1e-10){if(guard("almostEqual",{a:a,b:b,epsilon:epsilon},{a:"number",b:"number",epsilon:"number?"}),epsilon<0)throw new Error("almostEqual(): epsilon must be non-negative");return Math.abs(a-b)<epsilon},isEven:function isEven(...values){if(0===values.length)throw new Error("isEven(): at least one parameter required");return values.forEach(v=>guard("isEven",{v:v},{v:"number"})),values.every(v=>v%2==0)},isOdd:function isOdd(...values){if(0===values.length)throw new Error("isOdd(): at least one parameter required");return values.forEach(v=>guard("isOdd",{v:v},{v:"number"})),values.every(v=>v%2!=0)},factorial:function factorial(n){if(guard("factorial",{n:n},{n:"number"}),!Number.isInteger(n)||n<0)throw new Error("factorial(): parameter must be non-negative integer");if(n<=1)return 1;let result=1;for(let i=2;i<=n;i++)result*=i;return result},isPrime:function isPrime(n){if(guard("isPrime",{n:n},{n:"number"}),!Number.isInteger(n)||n<2)return!1;for(let i=2;i<=Math.sqrt(n);i++)if(n%i===0)return!1;return!0},gcd:gcd,lcm:function lcm(a,b){return guard("lcm",{a:a,b:b},{a:"number",b:"number"}),0===a||0===b?0:Math.abs(a*b)/gcd(a,b)},degreesToRadians:function degreesToRadians(deg){return guard("degreesToRadians",{deg:deg},{deg:"number"}),deg*(Math.PI/180)},radiansToDegrees:function radiansToDegrees(rad){return guard("radiansToDegrees",{rad:rad},{rad:"number"}),rad*(180/Math.PI)},toOrdinal:function toOrdinal(n){guard("toOrdinal",{n:n},{n:"number"});const suffixes=["th","st","nd","rd"],v=Math.abs(n)%100;return n+(suffixes[(v-20)%10]||suffixes[v]||suffixes[0])},randomIntArray:function randomIntArray(min,max,length,precision=0,options){let rng;if(guard("randomIntArray",{min:min,max:max,length:length},{min:"number",max:"number",length:"number"}),({precision:precision,rng:rng}=randomOptions("randomIntArray",precision,options)),!Number.isInteger(length)||length<0)throw new Error("randomIntArray(): length must be non-negative integer");if(!Number.isInteger(precision)||precision<0)throw new TypeError("randomIntArray(): precision must be non-negative integer");min>max&&([min,max]=[max,min]);const array=[];for(let i=0;i<length;i++){const rand=rng()*(max-min)+min;array.push(precision>0?Number(rand.toFixed(precision)):Math.floor(rand))}return array},randomUniqueIntArray:function randomUniqueIntArray(min,max,length,precision=0,options){let rng;if(guard("randomUniqueArray",{min:min,max:max,length:length},{min:"number",max:"number",length:"number"}),({precision:precision,rng:rng}=randomOptions("randomUniqueArray",precision,options)),!Number.isInteger(length)||length<0)throw new TypeError("length must be a non-negative integer");const{size:size,indices:indices,toValue:toValue}=uniqueIntSource("randomUniqueArray",min,max,precision,rng);if(length>size)throw new Error("randomUniqueArray(): length exceeds unique range");const result=[];for(;result.length<length;)result.push(toValue(indices.next().value));return result},randomUniqueIntGenerator:function randomUniqueIntGenerator(min,max,precision=0,options){let rng;guard("randomUniqueIntGenerator",{min:min,max:max},{min:"number",max:"number"}),({precision:precision,rng:rng}=randomOptions("randomUniqueIntGenerator",precision,options));const{indices:indices,toValue:toValue}=uniqueIntSource("randomUniqueIntGenerator",min,max,precision,rng);return function*(){for(const i of indices)yield toValue(i)}()},createRng:function createRng(seed){guard("createRng",{seed:seed},{seed:"number|string"});let state=2166136261;if("string"==typeof seed)for(let i=0;i<seed.length;i++)state=Math.imul(state^seed.charCodeAt(i),16777619)>>>0;else state=Math.floor(seed)>>>0;return function rng(){state=state+1831565813>>>0;let t=state;return t=Math.imul(t^t>>>15,1|t),t^=t+Math.imul(t^t>>>7,61|t),((t^t>>>14)>>>0)/4294967296}},cryptoRandom:function cryptoRandom(){if("undefined"==typeof crypto||"function"!=typeof crypto.getRandomValues)throw new Error("Primux/cryptoRandom(): crypto.getRandomValues is not available in this environment!");const[hi,lo]=crypto.getRandomValues(new Uint32Array(2));return(67108864*(hi>>>5)+(lo>>>6))/9007199254740992},isPositive:function isPositive(n){return guard("isPositive",{n:n},{n:"number"}),n>0},isNegative:function isNegative(n){return guard("isNegative",{n:n},{n:"number"}),n<0},isObject:isObject,isArray:function isArray(value){return guard("isArray",{value:value},{value:"any"}),Array.isArray(value)},isCollection:function isCollection(value){return guard("isCollection",{value:value},{value:"any"}),null!==value&&(!!Array.isArray(value)||(value instanceof Map||value instanceof Set||value instanceof WeakMap||value instanceof WeakSet||Object.getPrototypeOf(value)===Object.prototype))},checkType:function checkType(value,expectedType){if("string"!=typeof expectedType)throw new TypeError("Primux/checkType(): expectedType must be a string");switch(expectedType){case"number":return"number"==typeof value&&!Number.isNaN(value);case"int":return Number.isInteger(value);case"string":return"string"==typeof value;case"boolean":case"bool":return"boolean"==typeof value;case"float":return"number"==typeof value&&!Number.isNaN(value)&&!Number.isInteger(value);case"array":return Array.isArray(value);case"object":return null!==value&&"object"==typeof value&&!Array.isArray(value);case"null":return null===value;case"undefined":return void 0===value;case"symbol":return"symbol"==typeof value;case"element":return value instanceof Element;default:throw new Error(`checkType(): unknown type "${expectedType}"`)}},int:function int(){return createType("number","int(): only accepts integer numbers",v=>Number.isSafeInteger(v))(...arguments)},string:function string(){return createType("string","string(): only accepts string",v=>"string"==typeof v)(...arguments)},bool:function bool(){return createType("boolean","bool(): only accepts boolean",v=>"boolean"==typeof v)(...arguments)},object:function object(){return createType("object","object(): only accepts plain objects",v=>null!==v&&"object"==typeof v&&Object.getPrototypeOf(v)===Object.prototype)(...arguments)},array:function array(){return createType("array","array(): only accepts arrays",v=>Array.isArray(v))(...arguments)},float:function float(){return createType("float","float(): only accepts floating point numbers",v=>"number"==typeof v&&!Number.isNaN(v))(...arguments)},sym:function sym(){return createType("symbol","sym(): only accepts symbol",v=>"symbol"==typeof v)(...arguments)},isNaN:isNaN,defaultIfNaN:function defaultIfNaN(value,defaultValue=void 0){return guard("defaultIfNaN",{value:value,defaultValue:defaultValue},{value:"any",defaultValue:"any"}),isNaN(value)?defaultValue:value},isNull:function isNull(value){return guard("isNull",{value:value},{value:"any"}),null===value},isUndefined:function isUndefined(value){if(arguments.length<1)throw new TypeError('Primux/isUndefined(value): parameter "value" is required');return void 0===value},isNil:function isNil(value){if(arguments.length<1)throw new TypeError('Primux/isNil(value): parameter "value" is required');return null==value},defaultIfNull:function defaultIfNull(value,defaultValue){return guard("defaultIfNull",{value:value,defaultValue:defaultValue},{value:"any",defaultValue:"any"}),null===value?defaultValue:value},defaultIfNil:function defaultIfNil(value,defaultValue){if(arguments.length<2)throw new TypeError('Primux/defaultIfNil(value, defaultValue): parameter "value" and "defaultValue" is required');return null==value?defaultValue:value},defaultIfUndefined:function defaultIfUndefined(value,defaultValue){if(arguments.length<2)throw new TypeError('Primux/defaultIfUndefined(value, defaultValue): parameter "value" and "defaultValue" is required');return void 0===value?defaultValue:value},coalesce:function coalesce(...values){if(0===values.length)throw new Error("Primux/coalesce: at least one parameter required");return values.find(v=>null!=v)},isTrue:function isTrue(value){return guard("isTrue",{value:value},{value:"any"}),!!value},isFalse:function isFalse(value){return guard("isFalse",{value:value},{value:"any"}),!value},allTrue:function allTrue(...values){if(0===values.length)throw new Error("Primux/allTrue: at least one parameter required");return values.every(v=>!!v)},allFalse:function allFalse(...values){if(0===values.length)throw new Error("Primux/allFalse: at least one parameter required");return values.every(v=>!v)},anyTrue:function anyTrue(...values){if(0===values.length)throw new Error("Primux/anyTrue: at least one parameter required");return values.some(v=>!!v)},anyFalse:function anyFalse(...values){if(0===values.length)throw new Error("Primux/anyFalse: at least one parameter required");return values.some(v=>!v)},xor:function xor(a,b){return guard("xor",{a:a,b:b},{a:"any",b:"any"}),!!a!=!!b},and:function and(...values){if(0===values.length)throw new Error("Primux/and: at least one parameter required");return values.every(v=>!!v)},or:function or(...values){if(0===values.length)throw new Error("Primux/or: at least one parameter required");return values.some(v=>!!v)},not:function not(value){return guard("not",{value:value},{value:"any"}),!value},coerce:function coerce(value){return guard("coerce",{value:value},{value:"any"}),!!value},ifTruthy:function ifTruthy(value,callback){if(guard("ifTruthy",{value:value,callback:callback},{value:"any",callback:"function"}),value)return callback(value)},ifFalsy:function ifFalsy(value,callback){if(guard("ifFalsy",{value:value,callback:callback},{value:"any",callback:"function"}),!value)return callback(value)},isEmpty:isEmpty,isNotEmpty:function isNotEmpty(collection){return!isEmpty(collection)},isEqual:function isEqual(a,b,options={}){guard("isEqual",{options:options},{options:"object?"});const{strict:strict=!1}=options;return guard("isEqual",{strict:strict},{strict:"boolean"}),structuralEqual(a,b,strict,[],[])},hash:function hash(value,options={}){guard("hash",{options:options},{options:"object?"});const{output:output="hex"}=options;if(guard("hash",{output:output},{output:"string"}),"hex"===output)return stableHash(value);if("bigint"===output){const{hi:hi,lo:lo}=hashDigest(value);return BigInt(hi)<<32n|BigInt(lo)}throw new RangeError('Primux/hash(value, options?): output must be "hex" or "bigint"')},first:function first(array){return guard("first",{array:array},{array:"array"}),0===array.length?void 0:array[0]},last:function last(array){return guard("last",{array:array},{array:"array"}),0===array.length?void 0:array[array.length-1]},atSafe:function atSafe(array,index){guard("atSafe",{array:array,index:index},{array:"array",index:"number"});const len=array.length,i=index<0?len+index:index;return i<0||i>=len?{value:void 0,exists:!1}:{value:array[i],exists:!0}},sum:function sum(array,options={}){guard("sum",{array:array,options:options},{array:isTypedArray(array)?"any":"array",options:"object?"});const{precise:precise=!1}=options;return totalOf(numericValues(array),precise)},average:function average(array,options={}){guard("average",{array:array,options:options},{array:isTypedArray(array)?"any":"array",options:"object?"});const{precise:precise=!1}=options,nums=numericValues(array);return 0===nums.length?void 0:Number(totalOf(nums,precise))/nums.length},min:function min(array){let min;guard("min",{array:array},{array:isTypedArray(array)?"any":"array"});for(const v of numericValues(array))(void 0===min||v<min)&&(min=v);return min},max:function max(array){let max;guard("max",{array:array},{array:isTypedArray(array)?"any":"array"});for(const v of numericValues(array))(void 0===max||v>max)&&(max=v);return max},range:function range(array){let max,min;guard("range",{array:array},{array:isTypedArray(array)?"any":"array"});for(const v of numericValues(array))(void 0===max||v>max)&&(max=v),(void 0===min||v<min)&&(min=v);return void 0===max||void 0===min?void 0:max-min},median:function median(array){guard("median",{array:array},{array:"array"});const nums=array.filter(v=>"number"==typeof v&&Number.isFinite(v));if(0===nums.length)return;nums.sort((a,b)=>a-b);const mid=Math.floor(nums.length/2);return nums.length%2==0?(nums[mid-1]+nums[mid])/2:nums[mid]},unique:function unique(array,options){guard("unique",{array:array,options:options},{array:"array",options:"object?"});const seen=createLookup("unique",options);return array.filter(v=>seen.addNew(v))},duplicates:function duplicates(array,options){guard("duplicates",{array:array,options:options},{array:"array",options:"object?"});const seen=createLookup("duplicates",options),counts=[],originals=[];for(const v of array){const id=seen.add(v);id===originals.length?(originals.push(v),counts.push(1)):counts[id]++}return originals.filter((_,id)=>counts[id]>1)},count:function count(array,value){if(guard("count",{array:array,value:value},{array:"array",value:"any?"}),void 0!==value){const key=hashKey(value);let total=0;for(const v of array)hashKey(v)===key&&deepEqual(v,value)&&total++;return total}const seen=createLookup("count"),firsts=[],counts=[];for(const v of array){const id=seen.add(v);id===firsts.length?(firsts.push(v),counts.push(1)):counts[id]++}return new Map(firsts.map((v,id)=>[v,counts[id]]))},containsAll:function containsAll(array,other,options){guard("containsAll",{array:array,other:other,options:options},{array:"array",other:"array",options:"object?"});const lookup=createLookup("containsAll",options);return array.forEach(v=>lookup.add(v)),other.every(v=>lookup.has(v))},isSubset:function isSubset(array,other,options){guard("isSubset",{array:array,other:other,options:options},{array:"array",other:"array",options:"object?"});const lookup=createLookup("isSubset",options);return other.forEach(v=>lookup.add(v)),array.every(v=>lookup.has(v))},intersection:function intersection(array,other,options={}){guard("intersection",{array:array,other:other,options:options},{array:"array",other:"array",options:"object?"});const{unique:unique=!1}=options,lookup=createLookup("intersection",options),seen=createLookup("intersection",options);return other.forEach(v=>lookup.add(v)),array.filter(v=>lookup.has(v)&&(!unique||seen.addNew(v)))},union:function union(array,other,options){guard("union",{array:array,other:other,options:options},{array:"array",other:"array",options:"object?"});const seen=createLookup("union",options);return[...array,...other].filter(v=>seen.addNew(v))},difference:function difference(array,other,options={}){guard("difference",{array:array,other:other,options:options},{array:"array",other:"array",options:"object?"});const{unique:unique=!1}=options,lookup=createLookup("difference",options),seen=createLookup("difference",options);return other.forEach(v=>lookup.add(v)),array.filter(v=>!lookup.has(v)&&(!unique||seen.addNew(v)))},symmetricDifference:function symmetricDifference(array,other,options={}){guard("symmetricDifference",{array:array,other:other,options:options},{array:"array",other:"array",options:"object?"});const{unique:unique=!1}=options,left=createLookup("symmetricDifference",options),right=createLookup("symmetricDifference",options),seen=createLookup("symmetricDifference",options);array.forEach(v=>left.add(v)),other.forEach(v=>right.add(v));const keep=v=>!unique||seen.addNew(v);return[...array.filter(v=>!right.has(v)&&keep(v)),...other.filter(v=>!left.has(v)&&keep(v))]},remove:function remove(array,value){if(guard("remove",{array:array},{array:"array"}),arguments.length<2)throw new TypeError('Primux/remove(array, value): parameter "value" is required');return array.filter(v=>!deepEqual(v,value))},swap:function swap(array,fIndex,sIndex){if(guard("swap",{array:array,fIndex:fIndex,sIndex:sIndex},{array:"array",fIndex:"number",sIndex:"number"}),fIndex<0||fIndex>=array.length||sIndex<0||sIndex>=array.length)throw new RangeError("swap(array, i, j): index out of bounds");const newArr=[...array],temp=newArr[fIndex];return newArr[fIndex]=newArr[sIndex],newArr[sIndex]=temp,newArr},clear:function clear(array){guard("clear",{array:array},{array:"array"}),array.splice(0,array.length)},chunk:function chunk(array,size){guard("chunk",{array:array,size:size},{array:"array",size:"number"});const result=[];if(size<=0)throw new RangeError("Primux/chunk: size must be greater than 0");for(let i=0;i<array.length;i+=size)result.push(array.slice(i,i+size));return result},zip:function zip(...arrays){arrays.forEach(a=>guard("zip",{a:a},{a:"array"}));const result=[],minLength=Math.min(...arrays.map(a=>a.length));for(let i=0;i<minLength;i++)result.push(arrays.map(a=>a[i]));return result},flattenDeep:function flattenDeep(array){guard("flattenDeep",{array:array},{array:"array"});const result=[],stack=[...array];for(;stack.length;){const value=stack.pop();Array.isArray(value)?stack.push(...value):result.push(value)}return result.reverse()},flattenTo:function flattenTo(array,depth=1){guard("flattenTo",{array:array,depth:depth},{array:"array",depth:"number?"}),depth<0&&(depth=0);const result=[],deep=(arr,currentDepth)=>{arr.forEach(item=>{Array.isArray(item)&&currentDepth<depth?deep(item,currentDepth+1):result.push(item)})};return deep(array,0),result},sortAsc:function sortAsc(array,comparator){return guard("sortAsc",{array:array,comparator:comparator},{array:"array",comparator:"function?"}),"function"==typeof comparator?[...array].sort(comparator):[...array].sort((a,b)=>{const toNumber=v=>"boolean"==typeof v?v?1:0:v;return"number"==typeof a&&"number"==typeof b?a-b:"string"==typeof a&&"string"==typeof b?a.localeCompare(b):toNumber(a)-toNumber(b)})},sortDesc:function sortDesc(array,comparator){return guard("sortDesc",{array:array,comparator:comparator},{array:"array",comparator:"function?"}),"function"==typeof comparator?[...array].sort((a,b)=>comparator(b,a)):[...array].sort((a,b)=>{const toNumber=v=>"boolean"==typeof v?v?1:0:v;return"number"==typeof a&&"number"==typeof b?b-a:"string"==typeof a&&"string"==typeof b?b.localeCompare(a):toNumber(b)-toNumber(a)})},sortBy:function sortBy(array,criteria,options={}){guard("sortBy",{array:array,criteria:criteria,options:options},{array:"array",criteria:"array|object|string|number|symbol|function",options:"object?"});const list=(Array.isArray(criteria)?criteria:[criteria]).map(c=>null!==c&&"object"==typeof c?c:{key:c});if(0===list.length)throw new RangeError("Primux/sortBy: at least one sort criterion is required");const sorters=list.map(c=>{const{key:key,order:order=options.order??"asc",nulls:nulls=options.nulls??"last",locale:locale=options.locale,numeric:numeric=options.numeric??!1,caseFirst:caseFirst=options.caseFirst,sensitivity:sensitivity=options.sensitivity}=c;if(guard("sortBy",{order:order,nulls:nulls,numeric:numeric,caseFirst:caseFirst,sensitivity:sensitivity},{order:"string",nulls:"string",numeric:"boolean",caseFirst:"string?",sensitivity:"string?"}),"asc"!==order&&"desc"!==order)throw new RangeError('Primux/sortBy: order must be "asc" or "desc"');if("first"!==nulls&&"last"!==nulls)throw new RangeError('Primux/sortBy: nulls must be "first" or "last"');return{get:keyAccessor("sortBy",key),dir:"desc"===order?-1:1,nulls:nulls,collator:new Intl.Collator(locale,{numeric:numeric,caseFirst:caseFirst,sensitivity:sensitivity})}});return array.map(value=>({value:value,keys:sorters.map(s=>s.get(value))})).sort((a,b)=>{for(let i=0;i<sorters.length;i++){const result=compareSortValues(a.keys[i],b.keys[i],sorters[i]);if(0!==result)return result}return 0}).map(item=>item.value)},shuffle:shuffle,sample:function sample(array,count=1,options){guard("sample",{array:array,count:count,options:options},{array:"array",count:"number?",options:"object?"});const{rng:rng}=randomOptions("sample",0,options);if(0===array.length)return;if(count>array.length)throw new RangeError("Primux/sample: count exceeds array length");return shuffle(array,{rng:rng}).slice(0,count)},compact:function compact(array){return guard("compact",{array:array},{array:"array"}),array.filter(v=>Boolean(v))},keysArray:function keysArray(obj){return guard("keysArray",{obj:obj},{obj:"object"}),Reflect.ownKeys(obj)},valuesArray:function valuesArray(obj){return guard("valuesArray",{obj:obj},{obj:"object"}),Reflect.ownKeys(obj).map(k=>obj[k])},entriesArray:function entriesArray(obj){return guard("entriesArray",{obj:obj},{obj:"object"}),Reflect.ownKeys(obj).map(k=>[k,obj[k]])},keysLength:function keysLength(obj){return guard("keysLength",{obj:obj},{obj:"object"}),Reflect.ownKeys(obj).length},has:has,deepClone:deepClone,deepMerge:deepMerge,mergeAll:function mergeAll(...objects){if(guard("mergeAll",{objects:objects},{objects:"array"}),!objects.length)return{};const seen=new WeakMap;let result={};for(const obj of objects)result=deepMerge(result,obj,seen);return result},pick:function pick(obj,keysArr){guard("pick",{obj:obj,keysArr:keysArr},{obj:"object",keysArr:"array"});const result={};for(const key of keysArr){if("string"!=typeof key&&"symbol"!=typeof key)throw new TypeError("pick(): keys must be string or symbol");has(obj,key)&&(result[key]=obj[key])}return result},omit:function omit(obj,keysArr){guard("omit",{obj:obj,keysArr:keysArr},{obj:"object",keysArr:"array"});const result=deepClone(obj);for(const key of keysArr){if("string"!=typeof key&&"symbol"!=typeof key)throw new TypeError("omit(): keys must be string or symbol");delete result[key]}return result},mapValues:function mapValues(obj,callback){guard("mapValues",{obj:obj,callback:callback},{obj:"object",callback:"function"});const result={};for(const key of Reflect.ownKeys(obj))result[key]=callback(obj[key],key,obj);return result},mapKeys:function mapKeys(obj,callback){guard("mapKeys",{obj:obj,callback:callback},{obj:"object",callback:"function"});const result={};for(const key of Reflect.ownKeys(obj)){const newKey=callback(key,obj[key],obj);if("string"!=typeof newKey&&"symbol"!=typeof newKey)throw new TypeError("mapKeys(): callback must return string or symbol");result[newKey]=obj[key]}return result},mapEntries:function mapEntries(obj,callback){guard("mapEntries",{obj:obj,callback:callback},{obj:"object",callback:"function"});const result={};for(const key of Reflect.ownKeys(obj)){const[newKey,newValue]=callback(key,obj[key],obj);if("string"!=typeof newKey&&"symbol"!=typeof newKey)throw new TypeError("mapEntries(): newKey must be string or symbol");result[newKey]=newValue}return result},filterObj:function filterObj(obj,callback){guard("filterObj",{obj:obj,callback:callback},{obj:"object",callback:"function"});const result={};for(const key of Reflect.ownKeys(obj))callback(obj[key],key,obj)&&(result[key]=obj[key]);return result},deepFreeze:function deepFreeze(obj,seen=new WeakSet){if(null===obj||"object"!=typeof obj||seen.has(obj))return obj;seen.add(obj),Object.freeze(obj);for(const key of Reflect.ownKeys(obj))deepFreeze(obj[key],seen);return obj},keyBy:function keyBy(arr,cb){guard("keyBy",{arr:arr,cb:cb},{arr:"array",cb:"function"});const result={};for(const item of arr){const key=cb(item);if("string"!=typeof key&&"symbol"!=typeof key&&"number"!=typeof key)throw new TypeError("keyBy(): key must be string or symbol or number");result[key]=item}return result},groupBy:function groupBy(arr,key,options={}){guard("groupBy",{arr:arr,key:key,options:options},{arr:"array",key:"function|string|number|array",options:"object?"});const{as:as="object"}=options,[first,...rest]=Array.isArray(key)?key:[key];if(void 0===first)throw new RangeError("Primux/groupBy: at least one key is required");const get=keyAccessor("groupBy",first);return toGroupOutput(collectGroups("groupBy",arr,(item,i)=>[get(item,i)],as),as,items=>rest.length?groupBy(items,rest,options):items)},countBy:function countBy(arr,key,options={}){guard("countBy",{arr:arr,key:key,options:options},{arr:"array",key:"function|string|number?",options:"object?"});const{as:as="object"}=options,get=keyAccessor("countBy",key);return toGroupOutput(collectGroups("countBy",arr,(item,i)=>[get(item,i)],as),as,items=>items.length)},indexBy:function indexBy(arr,key,options={}){guard("indexBy",{arr:arr,key:key,options:options},{arr:"array",key:"function|string|number",options:"object?"});const{as:as="object"}=options,get=keyAccessor("indexBy",key);return toGroupOutput(collectGroups("indexBy",arr,(item,i)=>{const keys=get(item,i);return Array.isArray(keys)?keys:[keys]},as),as,items=>items)},partition:function partition(arr,predicate){guard("partition",{arr:arr,predicate:predicate},{arr:"array",predicate:"function|string|number"});const test=keyAccessor("partition",predicate),pass=[],fail=[];return arr.forEach((item,i)=>(test(item,i)?pass:fail).push(item)),[pass,fail]},invert:function invert(obj){guard("invert",{obj:obj},{obj:"object"});const result={};for(const key of Reflect.ownKeys(obj)){const value=obj[key];result["symbol"==typeof value?value:String(value)]=key}return result},uppercaseWords:function uppercaseWords(str){return guard("uppercaseWords",{str:str},{str:"string"}),str?str.trim().split(/\s+/).map(w=>w[0].toUpperCase()+w.slice(1)).join(" "):""},lowercaseWords:function lowercaseWords(str){return guard("lowercaseWords",{str:str},{str:"string"}),str?str.trim().split(/\s+/).map(w=>w[0].toLowerCase()+w.slice(1)).join(" "):""},truncate:function truncate(str,length,ellipsis="..."){return guard("truncate",{str:str,length:length,ellipsis:ellipsis},{str:"string",length:"number",ellipsis:"string?"}),str&&length?(guardNegativeNumber(length,"truncate(str, length, ellipsis?)"),str.length<=length?str:str.slice(0,length)+ellipsis):""},uppercaseChar:function uppercaseChar(char){return guard("uppercaseChar",{char:char},{char:"string"}),char?(checkChar(char,"uppercaseChar(char)"),char.toUpperCase()):""},lowercaseChar:function lowercaseChar(char){return guard("lowercaseChar",{char:char},{char:"string"}),char?(checkChar(char,"lowercaseChar(char)"),char.toLowerCase()):""},uppercaseFirstChar:function uppercaseFirstChar(str){if(guard("uppercaseFirstChar",{str:str},{str:"string"}),!str)return"";const chars=Array.from(str);return chars[0]=chars[0].toUpperCase(),chars.join("")},lowercaseFirstChar:function lowercaseFirstChar(str){if(guard("lowercaseFirstChar",{str:str},{str:"string"}),!str)return"";const chars=Array.from(str);return chars[0]=chars[0].toLowerCase(),chars.join("")},slugify:function slugify(str){return guard("slugify",{str:str},{str:"string"}),str?str.toLowerCase().trim().replace(/[^\w\s-]/g,"").replace(/\s+/g,"-").replace(/-+/g,"-").replace(/^-+|-+$/g,""):""},stripHtml:function stripHtml(html){if(guard("stripHtml",{html:html},{html:"string"}),"undefined"!=typeof document){const div=createElement("div",{html:html});return div.querySelectorAll("script, style").forEach(el=>el.remove()),div.textContent||""}return html?html.replace(/<script[\s\S]*?>[\s\S]*?<\/script>/gi,"").replace(/<style[\s\S]*?>[\s\S]*?<\/style>/gi,"").replace(/<[^>]+>/g,""):""},escapeHtml:function escapeHtml(html){return guard("escapeHtml",{html:html},{html:"string"}),html?html.replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;").replace(/'/g,"&#39;"):""},countOccurrences:function countOccurrences(str,s){if(guard("countOccurrences",{str:str,s:s},{str:"string",s:"string"}),!s||!str)return 0;let count=0,pos=0;for(;-1!==(pos=str.indexOf(s,pos));)count++,pos+=s.length;return count},reverseString:function reverseString(str){return guard("reverseString",{str:str},{str:"string"}),str?Array.from(str).reverse().join(""):""},padCenter:function padCenter(str,length,pad=" "){if(guard("padCenter",{str:str,length:length,pad:pad},{str:"string",length:"number",pad:"string?"}),guardNegativeNumber(length,"padCenter(str, length, pad?)"),!pad)throw new TypeError("Primux/padCenter: pad must be non-empty");const strLen=str.length;if(strLen>=length)return str;const totalPad=length-strLen,left=Math.floor(totalPad/2),right=totalPad-left,makePad=n=>pad.repeat(Math.ceil(n/pad.length)).slice(0,n);return makePad(left)+str+makePad(right)},removeAccent:function removeAccent(str){return guard("removeAccent",{str:str},{str:"string"}),str?str.normalize("NFD").replace(/[\u0300-\u036f]/g,""):""},isPalindrome:function isPalindrome(str){guard("isPalindrome",{str:str},{str:"string"});const cleaned=str?str.toLowerCase().replace(/[^\p{L}\p{N}]/gu,""):"";return cleaned===Array.from(cleaned).reverse().join("")},createEmitter:createEmitter,mutex:mutex,semaphore:semaphore,keyedLock:function keyedLock(){const locks=new Map;function prune(key){const lock=locks.get(key);lock&&!lock.isLocked()&&0===lock.pending()&&locks.delete(key)}async function acquire(key,options){const lock=function lockFor(key){return locks.has(key)||locks.set(key,mutex()),locks.get(key)}(key);let releaser;try{releaser=await lock.acquire(options)}catch(err){throw prune(key),err}let released=!1;return()=>{released||(released=!0,releaser(),prune(key))}}return Object.freeze({acquire:acquire,release:function release(key){const lock=locks.get(key);if(!lock)throw new Error("Primux/keyedLock: release() called for a key that is not locked");lock.release(),prune(key)},runExclusive:async function runExclusive(key,fn,options){guard("keyedLock.runExclusive",{fn:fn},{fn:"function"});const releaser=await acquire(key,options);try{return await fn()}finally{releaser()}},isLocked:key=>locks.has(key)&&locks.get(key).isLocked(),size:()=>locks.size})},createQueue:function createQueue(options={}){guard("createQueue",{options:options},{options:"object?"});const{concurrency:concurrency=1,timeout:taskTimeout,autoStart:autoStart=!0}=options;guard("createQueue",{concurrency:concurrency,taskTimeout:taskTimeout,autoStart:autoStart},{concurrency:"number",taskTimeout:"number?",autoStart:"boolean"}),guardLimit(concurrency,"createQueue(options?)");const emitter=createEmitter({events:["progress","completed","failed","empty","idle"]}),tasks=[];let running=0,completed=0,failed=0,paused=!autoStart;const emptyWaiters=createWaitQueue(),idleWaiters=createWaitQueue();function stats(){return{completed:completed,failed:failed,pending:running,queued:tasks.length}}function emptied(){emptyWaiters.resolve(),emitter.emit("empty")}function checkIdle(){0===tasks.length&&0===running&&(idleWaiters.resolve(),emitter.emit("idle"))}function next(){for(;!paused&&running<concurrency&&tasks.length;){const task=tasks.shift();running++,0===tasks.length&&emptied();const run=void 0===task.timeout?task.fn:timeout(task.fn,task.timeout,{passSignal:!0});new Promise(resolve=>resolve(run())).then(value=>{completed++,task.resolve(value),emitter.emit("completed",value)},err=>{failed++,task.reject(err),emitter.emit("failed",err)}).then(()=>{running--,emitter.emit("progress",stats()),next(),checkIdle()})}}return Object.freeze({add:function add(fn,taskOptions={}){guard("queue.add",{fn:fn,taskOptions:taskOptions},{fn:"function",taskOptions:"object?"});const{priority:priority=0,timeout:ms=taskTimeout}=taskOptions;guard("queue.add",{priority:priority,ms:ms},{priority:"number",ms:"number?"});const task={fn:fn,priority:priority,timeout:ms};task.promise=new Promise((resolve,reject)=>{task.resolve=resolve,task.reject=reject});const index=tasks.findIndex(t=>t.priority<priority);return-1===index?tasks.push(task):tasks.splice(index,0,task),next(),task.promise},clear:function clear(){const cleared=tasks.splice(0);cleared.forEach(task=>{rejectQuietly(task,new Error("Primux/queue: task was cleared before it started"))}),cleared.length&&emptied(),checkIdle()},pause(){paused=!0},resume(){paused=!1,next()},isPaused:()=>paused,onEmpty:()=>0===tasks.length?Promise.resolve():emptyWaiters.add(),onIdle:()=>0===tasks.length&&0===running?Promise.resolve():idleWaiters.add(),stats:stats,on:emitter.on,once:emitter.once,off:emitter.off})},signal:function signal(){return createType("any","signal(): invalid value",()=>!0)(...arguments)},computed:function computed(fn){guard("computed",{fn:fn},{fn:"function"});const node=createNode();let value,dirty=!0,disposed=!1;const observer={sources:new Set,invalidate(){dirty||(dirty=!0,invalidateNode(node))}};function peek(){return dirty&&!disposed&&(value=runObserved(observer,fn),dirty=!1),value}return Object.freeze({get:()=>(trackNode(node),peek()),peek:peek,subscribe:listener=>(guard("computed.subscribe",{listener:listener},{listener:"function"}),subscribeNode(node,peek,listener)),dispose(){disposed=!0,unlinkObserver(observer)},type:()=>"computed"})},effect:function effect(fn){let cleanup;guard("effect",{fn:fn},{fn:"function"});let disposed=!1;const job={run(){"function"==typeof cleanup&&cleanup(),cleanup=runObserved(observer,fn)}},observer={sources:new Set,invalidate(){disposed||reactiveState.queue.add(job)}};return job.run(),function dispose(){disposed||(disposed=!0,reactiveState.queue.delete(job),unlinkObserver(observer),"function"==typeof cleanup&&cleanup())}},batch:function batch(fn){guard("batch",{fn:fn},{fn:"function"}),reactiveState.batchDepth++;try{return fn()}finally{reactiveState.batchDepth--,flushReactive()}},variance:function variance(array,options={}){guard("variance",{array:array,options:options},{array:"array",options:"object?"});const{sample:sample=!0}=options;return varianceOf(finiteValues(array),sample)},std:function std(array,options={}){guard("std",{array:array,options:options},{array:"array",options:"object?"});const{sample:sample=!0}=options,v=varianceOf(finiteValues(array),sample);return void 0===v?void 0:Math.sqrt(v)},zScores:function zScores(array,options={}){guard("zScores",{array:array,options:options},{array:"array",options:"object?"});const{sample:sample=!0}=options,nums=finiteValues(array),v=varianceOf(nums,sample);if(!v)return;const mean=meanOf(nums),sd=Math.sqrt(v);return array.map(x=>isFiniteNumber(x)?(x-mean)/sd:NaN)},mode:function mode(array){guard("mode",{array:array},{array:"array"});const counts=new Map;let top=0;for(const v of finiteValues(array)){const c=(counts.get(v)||0)+1;counts.set(v,c),c>top&&(top=c)}if(0!==top)return[...counts].filter(([,c])=>c===top).map(([v])=>v).sort((a,b)=>a-b)},quantile:function quantile(array,q,options={}){guard("quantile",{array:array,q:q,options:options},{array:"array",q:"number|array",options:"object?"});const{method:method="linear"}=options;return quantilesOf("quantile",array,q,1,method)},percentile:function percentile(array,p,options={}){guard("percentile",{array:array,p:p,options:options},{array:"array",p:"number|array",options:"object?"});const{method:method="linear"}=options;return quantilesOf("percentile",array,p,100,method)},iqr:function iqr(array,options={}){guard("iqr",{array:array,options:options},{array:"array",options:"object?"});const{method:method="linear"}=options,[q1,q3]=quantilesOf("iqr",array,[.25,.75],1,method);return void 0===q1?void 0:q3-q1},histogram:function histogram(array,options={}){guard("histogram",{array:array,options:options},{array:"array",options:"object?"});const{bins:bins=10}=options,nums=finiteValues(array);let edges;if(Array.isArray(bins)){if(bins.length<2||bins.some((e,i)=>!Number.isFinite(e)||i>0&&e<=bins[i-1]))throw new RangeError("Primux/histogram: bins must be at least two ascending finite edges");edges=bins}else{if(!Number.isInteger(bins)||bins<1)throw new RangeError("Primux/histogram: bins must be a positive integer");if(0===nums.length&&(void 0===options.min||void 0===options.max))return[];const lo=options.min??nums.reduce((a,b)=>Math.min(a,b)),hi=options.max??nums.reduce((a,b)=>Math.max(a,b));if(!Number.isFinite(lo)||!Number.isFinite(hi)||lo>hi)throw new RangeError("Primux/histogram: min must not exceed max");const width=(hi-lo)/bins;edges=Array.from({length:bins+1},(_,i)=>i===bins?hi:lo+i*width)}const result=edges.slice(1).map((end,i)=>({start:edges[i],end:end,count:0})),last=edges.length-1;for(const v of nums){if(v<edges[0]||v>edges[last])continue;let lo=0,hi=last;for(;hi-lo>1;){const mid=lo+hi>>1;v<edges[mid]?hi=mid:lo=mid}result[lo].count++}return result},weightedMean:function weightedMean(values,weights){guard("weightedMean",{values:values,weights:weights},{values:"array",weights:"array"});const[xs,ws]=finitePairs("weightedMean",values,weights);let total=0,weight=0;for(let i=0;i<xs.length;i++){if(ws[i]<0)throw new RangeError("Primux/weightedMean: weights must not be negative");total+=xs[i]*ws[i],weight+=ws[i]}return 0===weight?void 0:total/weight},covariance:function covariance(x,y,options={}){guard("covariance",{x:x,y:y,options:options},{x:"array",y:"array",options:"object?"});const{sample:sample=!0}=options;return covarianceOf(...finitePairs("covariance",x,y),sample)},correlation:function correlation(x,y,options={}){guard("correlation",{x:x,y:y,options:options},{x:"array",y:"array",options:"object?"});const{method:method="pearson"}=options,[xs,ys]=finitePairs("correlation",x,y);if("pearson"===method)return pearsonOf(xs,ys);if("spearman"===method)return pearsonOf(rankValues(xs),rankValues(ys));throw new RangeError('Primux/correlation: method must be "pearson" or "spearman"')},createRunningStats:function createRunningStats(options={}){guard("createRunningStats",{options:options},{options:"object?"});const{sample:sample=!0}=options;let min,max,count=0,mean=0,m2=0;const stats={push(...values){for(const v of values){if(!isFiniteNumber(v))continue;count++;const delta=v-mean;mean+=delta/count,m2+=delta*(v-mean),(void 0===min||v<min)&&(min=v),(void 0===max||v>max)&&(max=v)}return stats},merge(other){const snap=snapshotOf("createRunningStats",other);if(0===snap.count)return stats;const n=count+snap.count,delta=snap.mean-mean;return m2+=snap.m2+delta*delta*count*snap.count/n,mean+=delta*snap.count/n,count=n,(void 0===min||snap.min<min)&&(min=snap.min),(void 0===max||snap.max>max)&&(max=snap.max),stats},snapshot(){const variance=0===count||sample&&count<2?void 0:m2/(sample?count-1:count);return{count:count,mean:0===count?void 0:mean,variance:variance,std:void 0===variance?void 0:Math.sqrt(variance),min:min,max:max,m2:m2}}};return Object.freeze(stats)},createEma:function createEma(options={}){guard("createEma",{options:options},{options:"object?"});const{span:span}=options,alpha=options.alpha??(void 0===span?void 0:2/(span+1));if("number"!=typeof alpha||!(alpha>0&&alpha<=1))throw new RangeError("Primux/createEma: alpha must be in (0, 1], or span at least 1");let count=0,total=0,weight=0;const ema={push(...values){for(const v of values)isFiniteNumber(v)&&(count++,total=total*(1-alpha)+v,weight=weight*(1-alpha)+1);return ema},merge(other){const snap=snapshotOf("createEma",other);if(snap.alpha!==alpha)throw new RangeError("Primux/createEma: cannot merge averages with a different alpha");return count+=snap.count,total+=snap.total,weight+=snap.weight,ema},snapshot:()=>({count:count,alpha:alpha,value:0===weight?void 0:total/weight,total:total,weight:weight})};return Object.freeze(ema)},createQuantileSketch:function createQuantileSketch(options={}){guard("createQuantileSketch",{options:options},{options:"object?"});const{compression:compression=100,quantiles:quantiles=[.5,.9,.99]}=options;if(guard("createQuantileSketch",{compression:compression,quantiles:quantiles},{compression:"number",quantiles:"array"}),!(compression>=10))throw new RangeError("Primux/createQuantileSketch: compression must be at least 10");if(quantiles.some(q=>"number"!=typeof q||!(q>=0&&q<=1)))throw new RangeError("Primux/createQuantileSketch: quantiles must be between 0 and 1");let min,max,centroids=[],buffer=[],count=0;const scale=q=>compression/(2*Math.PI)*Math.asin(2*q-1),limit=k=>k>=compression/4?1:(Math.sin(2*k*Math.PI/compression)+1)/2;function compress(){if(0===buffer.length)return;const all=centroids.concat(buffer).sort((a,b)=>a[0]-b[0]),merged=[];let[mean,weight]=all[0],before=0,qLimit=limit(scale(0)+1);for(let i=1;i<all.length;i++){const[m,w]=all[i];(before+weight+w)/count<=qLimit?(weight+=w,mean+=(m-mean)*w/weight):(merged.push([mean,weight]),before+=weight,qLimit=limit(scale(before/count)+1),[mean,weight]=[m,w])}merged.push([mean,weight]),centroids=merged,buffer=[]}function add(mean,weight){buffer.push([mean,weight]),count+=weight,buffer.length>=5*compression&&compress()}function quantile(q){if("number"!=typeof q||!(q>=0&&q<=1))throw new RangeError("Primux/createQuantileSketch: quantile must be between 0 and 1");if(compress(),0===count)return;if(0===q)return min;if(1===q)return max;if(1===centroids.length)return centroids[0][0];const target=q*count;let cumulative=0,prevCenter=0,prevMean=min;for(const[mean,weight]of centroids){const center=cumulative+weight/2;if(target<center)return prevMean+(mean-prevMean)*(target-prevCenter)/(center-prevCenter);cumulative+=weight,prevCenter=center,prevMean=mean}return prevMean+(max-prevMean)*(target-prevCenter)/(count-prevCenter)}const sketch={push(...values){for(const v of values)isFiniteNumber(v)&&((void 0===min||v<min)&&(min=v),(void 0===max||v>max)&&(max=v),add(v,1));return sketch},merge(other){const snap=snapshotOf("createQuantileSketch",other);if(0===snap.count)return sketch;if(!Array.isArray(snap.centroids))throw new TypeError("Primux/createQuantileSketch: snapshot has no centroids");(void 0===min||snap.min<min)&&(min=snap.min),(void 0===max||snap.max>max)&&(max=snap.max);for(const[mean,weight]of snap.centroids)add(mean,weight);return sketch},quantile:quantile,snapshot(){compress();const estimates={};for(const q of quantiles)estimates[q]=quantile(q);return{count:count,min:min,max:max,quantiles:estimates,centroids:centroids.map(c=>c.slice())}}};return Object.freeze(sketch)}})}();!function(root,factory){"function"==typeof define&&define.amd?define([],factory):"object"==typeof module&&module.exports?module.exports=factory():root._p=factory()}("undefined"!=typeof globalThis?globalThis:this,function(){return _p});
\ No newline at end of file